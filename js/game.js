@@ -9,20 +9,22 @@ class PointlessGame {
     constructor() {
         // Game state
         this.pack = null;
+        this.packEntries = new Map(); // Pack index entries by id, for the pack cards
+        this.loadedPacks = new Map(); // Packs fetched so far, by id
+        this.selectedPackId = null;
+        this.rules = null; // Shared rules state (js/shared/rules.js) - the fields below mirror it
         this.players = [];
         this.currentPlayerIndex = 0;
         this.currentRound = 1;
         this.totalRounds = 10;
-        this.roundCategories = [];
         this.currentCategory = null;
-        this.usedAnswersThisRound = new Set();
         this.timerEnabled = false; // Disabled by default like real show
+        this.twoPassEnabled = false; // Second pass in reverse order, like the real show
+        this.matching = 'lenient'; // How forgiving answer matching is: exact | lenient | very-lenient
         this.timerInterval = null;
         this.timerRemaining = 30;
         this.reduceMotion = false;
         this.scoreAnimationInterval = null;
-        this.answerIndex = [];
-        this.answerLookup = new Map();
         this.currentImage = null;
 
         // Game mode: 'party' (everyone plays all rounds) or 'tv-show' (elimination)
@@ -31,7 +33,7 @@ class PointlessGame {
         // Question type for current category
         this.questionType = 'standard'; // standard | anagram | picture | missing_word
 
-        // History for undo (with answer tracking)
+        // History for undo (rules snapshots taken before each answer this question)
         this.history = [];
 
         // Answer board - tracks all answers revealed this round
@@ -48,6 +50,11 @@ class PointlessGame {
         this.currentPass = 1; // 1 = first pass, 2 = second pass (reverse)
         this.passOrder = []; // Order of players for current pass
 
+        // TV show endgame: 'rounds' -> 'headToHead' -> 'final'
+        this.stage = 'rounds';
+        this.roundResult = null; // Last round/head-to-head result, shown on "next round"
+        this.showingIntro = false;
+
         // Bind methods
         this.handleKeyboard = this.handleKeyboard.bind(this);
 
@@ -62,6 +69,25 @@ class PointlessGame {
         // Pack selection
         this.loadAvailablePacks();
 
+        // Custom pack import (file picker or drag-and-drop)
+        const importZone = document.getElementById('pack-import');
+        const importInput = document.getElementById('import-pack-input');
+        document.getElementById('import-pack-btn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            if (importInput.files[0]) this.importPackFile(importInput.files[0]);
+            importInput.value = '';
+        });
+        importZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            importZone.classList.add('drag-over');
+        });
+        importZone.addEventListener('dragleave', () => importZone.classList.remove('drag-over'));
+        importZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            importZone.classList.remove('drag-over');
+            if (e.dataTransfer.files[0]) this.importPackFile(e.dataTransfer.files[0]);
+        });
+
         // Player management
         this.initializePlayers(2);
         document.getElementById('add-player-btn').addEventListener('click', () => this.addPlayer());
@@ -72,6 +98,20 @@ class PointlessGame {
         document.getElementById('next-player-btn').addEventListener('click', () => this.nextPlayer());
         document.getElementById('next-round-btn').addEventListener('click', () => this.nextRound());
         document.getElementById('undo-btn').addEventListener('click', () => this.undo());
+        document.getElementById('override-btn').addEventListener('click', () => this.showOverride());
+
+        // Host ruling on a disputed answer
+        document.getElementById('close-override-modal').addEventListener('click', () => this.hideOverride());
+        document.getElementById('override-search').addEventListener('input', () => this.updateOverrideCandidates());
+        document.getElementById('override-accept-btn').addEventListener('click', () => {
+            const answerIndex = parseInt(document.getElementById('override-answer').value);
+            if (!isNaN(answerIndex)) this.overrideLastAnswer({ verdict: 'accept', answerIndex });
+        });
+        document.getElementById('override-points-btn').addEventListener('click', () => {
+            const points = Math.round(Number(document.getElementById('override-points').value));
+            if (points >= 0 && points <= PointlessRules.PASS_SCORE) this.overrideLastAnswer({ verdict: 'points', points });
+        });
+        document.getElementById('override-reject-btn').addEventListener('click', () => this.overrideLastAnswer({ verdict: 'reject' }));
 
         // Answer input
         const answerInput = document.getElementById('answer-input');
@@ -95,6 +135,12 @@ class PointlessGame {
         // Round results / elimination continue button
         document.getElementById('continue-btn')?.addEventListener('click', () => this.continueFromRoundResults());
 
+        // Final round category choice
+        document.getElementById('final-options')?.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-option]');
+            if (option) this.chooseFinalCategory(parseInt(option.dataset.option));
+        });
+
         // Image modal
         document.getElementById('image-info-btn')?.addEventListener('click', () => this.showImageInfo());
         document.getElementById('close-image-modal').addEventListener('click', () => this.hideImageInfo());
@@ -123,90 +169,242 @@ class PointlessGame {
 
     /**
      * Load available packs from the packs directory
+     * Cards come from packs/index.json (built by `npm run build-index`); a pack
+     * is only fetched when it is picked. Opened without a server (file://) the
+     * index can't be fetched, so the embedded bundle is offered instead.
      */
-    loadAvailablePacks() {
-        // Use embedded packs (works without a server)
-        const packIds = [
-            'pointless-classics',
-            'sports-and-games',
-            'entertainment-culture',
-            'uk-life-culture',
-            'science-nature',
-            'world-geography',
-            'history'
-        ];
-
-        let gameNumber = 1;
-        for (const packId of packIds) {
-            if (EMBEDDED_PACKS && EMBEDDED_PACKS[packId]) {
-                const pack = EMBEDDED_PACKS[packId];
-                this.addPackCard(pack, packId, gameNumber);
-                gameNumber++;
-            }
+    async loadAvailablePacks() {
+        let entries = await this.fetchPackIndex();
+
+        if (!entries) {
+            const embedded = typeof EMBEDDED_PACKS !== 'undefined' ? EMBEDDED_PACKS : {};
+            entries = Object.entries(embedded)
+                .filter(([packId]) => packId !== 'demo')
+                .map(([packId, pack]) => ({ id: packId, pack, ...PointlessPackFormat.summarizePack(pack) }));
         }
 
         // If no packs found, use demo
-        if (gameNumber === 1) {
-            const pack = EMBEDDED_PACKS?.demo || this.getSamplePack();
-            this.addPackCard(pack, 'demo', 1);
+        if (entries.length === 0) {
+            const pack = (typeof EMBEDDED_PACKS !== 'undefined' && EMBEDDED_PACKS.demo) || this.getSamplePack();
+            entries = [{ id: 'demo', pack, ...PointlessPackFormat.summarizePack(pack) }];
+        }
+
+        entries.forEach((entry, i) => this.addPackCard(entry, i + 1));
+
+        // Packs imported on earlier visits
+        for (const [packId, pack] of Object.entries(this.getCustomPacks())) {
+            this.addPackCard({ id: packId, pack, custom: true, ...PointlessPackFormat.summarizePack(pack) });
+        }
+    }
+
+    /**
+     * Fetch the pack index, or null if it isn't available
+     */
+    async fetchPackIndex() {
+        try {
+            const response = await fetch('packs/index.json');
+            if (!response.ok) return null;
+            const index = await response.json();
+            return Array.isArray(index.packs) ? index.packs : null;
+        } catch (e) {
+            return null;
         }
     }
 
     /**
      * Add a pack card to the selector
+     * entry is a pack index entry - with the pack itself for embedded packs
      */
-    addPackCard(pack, packDir, gameNumber) {
+    addPackCard(entry, gameNumber) {
         const packSelector = document.getElementById('pack-selector');
         const card = document.createElement('div');
-        card.className = 'pack-card';
-        const packName = pack.name || pack.title || 'Quiz Pack';
+        card.className = entry.custom ? 'pack-card custom-pack' : 'pack-card';
+
+        const details = [`${entry.categoryCount} categories`];
+        if (entry.author) details.push(`by ${entry.author}`);
+        const types = (entry.types || [])
+            .map(type => `<span class="pack-type">${this.escapeHtml(PointlessPackFormat.QUESTION_TYPE_LABELS[type] || type)}</span>`)
+            .join('');
+
         card.innerHTML = `
-            <div class="pack-number">Game ${gameNumber}</div>
-            <h3>${packName}</h3>
-            <p>${pack.categories.length} categories</p>
+            <div class="pack-number">${entry.custom ? 'Custom Pack' : `Game ${gameNumber}`}</div>
+            ${entry.custom ? '<button class="remove-pack-btn" title="Remove this pack">×</button>' : ''}
+            <h3>${this.escapeHtml(entry.title || 'Quiz Pack')}</h3>
+            ${entry.description ? `<p class="pack-description">${this.escapeHtml(entry.description)}</p>` : ''}
+            <p>${this.escapeHtml(details.join(' · '))}</p>
+            ${types ? `<div class="pack-types">${types}</div>` : ''}
         `;
-        card.dataset.packId = packDir;
-        card.dataset.pack = JSON.stringify(pack);
+        card.dataset.packId = entry.id;
+        this.packEntries.set(entry.id, entry);
         card.addEventListener('click', () => this.selectPack(card));
+        if (entry.custom) {
+            card.querySelector('.remove-pack-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeCustomPack(card);
+            });
+        }
         packSelector.appendChild(card);
 
         // Select first pack by default
         if (packSelector.children.length === 1) {
             this.selectPack(card);
         }
+        return card;
     }
 
     /**
-     * Select a pack
+     * Select a pack, fetching it if it hasn't been loaded yet
      */
-    selectPack(card) {
-        document.querySelectorAll('.pack-card').forEach(c => c.classList.remove('selected'));
+    async selectPack(card) {
+        document.querySelectorAll('.pack-card').forEach(c => c.classList.remove('selected', 'load-failed'));
         card.classList.add('selected');
 
-        if (card.dataset.pack) {
-            this.pack = JSON.parse(card.dataset.pack);
-            this.normalizePack();
-        } else if (card.dataset.packId === 'sample') {
-            this.pack = this.getSamplePack();
+        const packId = card.dataset.packId;
+        this.selectedPackId = packId;
+        this.pack = null;
+
+        try {
+            const pack = await this.loadPack(packId);
+            // Another card may have been picked while this one was loading
+            if (this.selectedPackId !== packId) return;
+            this.pack = pack;
+        } catch (e) {
+            console.error(`Failed to load pack ${packId}:`, e);
+            card.classList.add('load-failed');
+        }
+    }
+
+    /**
+     * Load a pack by its index id, caching it for later games
+     */
+    async loadPack(packId) {
+        if (!this.loadedPacks.has(packId)) {
+            const entry = this.packEntries.get(packId);
+            let json = entry.pack;
+            let packUrl = null;
+            if (!json) {
+                const response = await fetch(`packs/${entry.path}`);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                json = await response.json();
+                packUrl = response.url || new URL(`packs/${entry.path}`, location.href).href;
+            }
+            const pack = this.normalizePack(json);
+            this.resolveImageUrls(pack, packUrl);
+            this.loadedPacks.set(packId, { id: packId, ...pack });
+        }
+        return this.loadedPacks.get(packId);
+    }
+
+    /**
+     * Point images bundled with --bundle-images (paths relative to pack.json) at
+     * the pack's folder. Embedded and imported packs have no folder, so their
+     * bundled images use the remote copy instead.
+     */
+    resolveImageUrls(pack, packUrl) {
+        for (const category of pack.categories) {
+            for (const answer of category.answers) {
+                const image = answer.image;
+                if (!image?.url || /^[a-z][a-z0-9+.-]*:/i.test(image.url)) continue;
+                image.url = packUrl ? new URL(image.url, packUrl).href : (image.remoteUrl || image.url);
+            }
         }
     }
 
     /**
      * Normalize pack format to handle different JSON schemas
-     * Converts answer.answer to answer.text for compatibility
+     * Older shapes (name/question, answer/score, a bare category) are converted to the canonical format
      */
-    normalizePack() {
-        if (!this.pack?.categories) return;
+    normalizePack(json) {
+        return PointlessPackFormat.migratePack(json);
+    }
 
-        this.pack.categories.forEach(category => {
-            if (!category.answers) return;
-            category.answers.forEach(answer => {
-                // Convert 'answer' field to 'text' if needed
-                if (answer.answer && !answer.text) {
-                    answer.text = answer.answer;
-                }
-            });
-        });
+    /**
+     * Import a pack.json picked or dropped on the setup screen
+     * Valid packs are kept in localStorage so they're there on the next visit
+     */
+    async importPackFile(file) {
+        let pack;
+        try {
+            // Strip a byte order mark - some packs were saved from Windows editors
+            const json = JSON.parse((await file.text()).replace(/^\uFEFF/, ''));
+            pack = this.normalizePack(json);
+        } catch (e) {
+            this.showImportStatus(`${file.name} isn't a valid JSON file.`, true);
+            return;
+        }
+
+        const problems = PointlessPackFormat.validatePack(pack);
+        if (problems.length > 0) {
+            const shown = problems.slice(0, 5).map(({ path, message }) => `${path || 'pack'}: ${message}`);
+            if (problems.length > shown.length) shown.push(`...and ${problems.length - shown.length} more`);
+            this.showImportStatus(`${file.name} can't be used:\n${shown.join('\n')}`, true);
+            return;
+        }
+
+        const packId = `custom-${PointlessRules.normalizeAnswer(pack.title).replace(/ /g, '-') || 'pack'}`;
+        const customPacks = this.getCustomPacks();
+        const replacing = Boolean(customPacks[packId]);
+        customPacks[packId] = pack;
+        const saved = this.saveCustomPacks(customPacks);
+
+        // Re-importing a pack with the same title replaces it
+        document.querySelector(`.pack-card[data-pack-id="${packId}"]`)?.remove();
+        this.loadedPacks.delete(packId);
+        const card = this.addPackCard({ id: packId, pack, custom: true, ...PointlessPackFormat.summarizePack(pack) });
+        this.selectPack(card);
+
+        const action = replacing ? 'Updated' : 'Added';
+        this.showImportStatus(saved
+            ? `${action} "${pack.title}".`
+            : `${action} "${pack.title}" for this visit only - it's too big to keep in browser storage.`);
+    }
+
+    /**
+     * Remove an imported pack from the selector and browser storage
+     */
+    removeCustomPack(card) {
+        const packId = card.dataset.packId;
+        const customPacks = this.getCustomPacks();
+        delete customPacks[packId];
+        this.saveCustomPacks(customPacks);
+        this.packEntries.delete(packId);
+        this.loadedPacks.delete(packId);
+
+        const wasSelected = card.classList.contains('selected');
+        card.remove();
+        if (wasSelected) {
+            const first = document.querySelector('.pack-card');
+            if (first) this.selectPack(first);
+        }
+    }
+
+    /**
+     * Imported packs from localStorage, by id
+     */
+    getCustomPacks() {
+        try {
+            return JSON.parse(localStorage.getItem('pointless-custom-packs')) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Save imported packs, returning false if they don't fit in storage
+     */
+    saveCustomPacks(customPacks) {
+        try {
+            localStorage.setItem('pointless-custom-packs', JSON.stringify(customPacks));
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    showImportStatus(message, isError = false) {
+        const status = document.getElementById('pack-import-status');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
     }
 
     /**
@@ -348,17 +546,24 @@ class PointlessGame {
             const gameMode = gameModeInput ? gameModeInput.value : 'party';
             const rounds = document.getElementById('num-rounds').value || '5';
             const timer = document.getElementById('timer-enabled').checked;
+            const matching = document.getElementById('answer-matching')?.value || 'lenient';
 
             // Build URL with settings
             const params = new URLSearchParams({
                 pack: this.pack.id || 'default',
                 mode: gameMode,
                 rounds: rounds,
-                timer: timer.toString()
+                timer: timer.toString(),
+                matching
             });
 
             // Store pack in sessionStorage for host.html to access
-            sessionStorage.setItem('pointless-pack', JSON.stringify(this.pack));
+            try {
+                sessionStorage.setItem('pointless-pack', JSON.stringify(this.pack));
+            } catch (e) {
+                alert('This pack is too big to hand over to the multiplayer host. Try a smaller pack.');
+                return;
+            }
 
             // Redirect to host view
             window.location.href = `host.html?${params.toString()}`;
@@ -367,12 +572,9 @@ class PointlessGame {
 
         // Get player names
         const playerInputs = document.querySelectorAll('.player-input input');
-        this.players = Array.from(playerInputs).map((input, i) => ({
-            name: input.value || `Player ${i + 1}`,
-            score: 0,
-            roundScores: [],
-            eliminated: false,
-            eliminatedRound: null
+        const players = Array.from(playerInputs).map((input, i) => ({
+            id: `player-${i + 1}`,
+            name: input.value || `Player ${i + 1}`
         }));
 
         // Get game mode
@@ -382,15 +584,18 @@ class PointlessGame {
         // Get settings
         this.totalRounds = parseInt(document.getElementById('num-rounds').value) || 5;
         this.timerEnabled = document.getElementById('timer-enabled').checked;
-
-        // In TV show mode, limit rounds based on players (need to eliminate down to 1)
-        if (this.gameMode === 'tv-show') {
-            // Max rounds is players - 1 (so we can have a winner)
-            this.totalRounds = Math.min(this.totalRounds, this.players.length - 1);
-        }
-
-        // Select random categories for rounds
-        this.selectRoundCategories();
+        this.twoPassEnabled = document.getElementById('two-pass-enabled')?.checked || false;
+        this.matching = document.getElementById('answer-matching')?.value || 'lenient';
+
+        // Rounds, elimination and the endgame all follow the shared rules
+        this.rules = PointlessRules.createGame(players, {
+            totalRounds: this.totalRounds,
+            gameMode: this.gameMode,
+            twoPass: this.twoPassEnabled,
+            matching: this.matching
+        });
+        this.history = [];
+        this.syncFromRules();
 
         // Initialize audio
         soundManager.init();
@@ -398,57 +603,96 @@ class PointlessGame {
         // Switch to game screen
         this.showScreen('game-screen');
 
-        // Start first round
-        this.startRound();
+        // Start first round (two players go straight to the head-to-head)
+        this.dispatch({ type: 'START_GAME' });
     }
 
     /**
-     * Select random categories for all rounds
+     * Apply an action to the shared rules and present the resulting events
      */
-    selectRoundCategories() {
-        const categories = [...this.pack.categories];
-        this.roundCategories = [];
+    dispatch(action) {
+        const { state, events } = PointlessRules.reduce(this.rules, action, { categories: this.pack.categories });
+        if (state === this.rules) return false;
+
+        this.rules = state;
+        this.syncFromRules();
+        events.forEach(event => this.handleRulesEvent(event));
+        return true;
+    }
 
-        for (let i = 0; i < this.totalRounds; i++) {
-            if (categories.length === 0) {
-                // Reshuffle if we run out
-                categories.push(...this.pack.categories);
-            }
-            const idx = Math.floor(Math.random() * categories.length);
-            this.roundCategories.push(categories.splice(idx, 1)[0]);
-        }
+    /**
+     * Mirror the rules state into the fields the UI renders from
+     */
+    syncFromRules() {
+        const rules = this.rules;
+        const indexOf = id => rules.players.findIndex(p => p.id === id);
+
+        this.players = rules.players;
+        this.currentPlayerIndex = Math.max(indexOf(PointlessRules.getCurrentPlayerId(rules)), 0);
+        this.currentRound = rules.currentRound;
+        this.totalRounds = rules.totalRounds;
+        this.stage = rules.stage;
+        this.jackpot = rules.jackpot;
+        this.currentPass = rules.pass;
+        this.passOrder = rules.passOrder.map(indexOf);
+        this.currentCategory = rules.currentCategory === null ? null : this.pack.categories[rules.currentCategory];
+        this.answerBoardEntries = rules.answerBoard;
     }
 
     /**
-     * Start a round
+     * Present an event from the shared rules
      */
-    startRound() {
-        this.currentCategory = this.roundCategories[this.currentRound - 1];
-        this.usedAnswersThisRound = new Set();
+    handleRulesEvent(event) {
+        switch (event.type) {
+            case 'CATEGORY_START':
+                // Undo only rewinds answers within the current question
+                this.history = [];
+                this.presentCategory();
+                break;
+
+            case 'TURN_START':
+                document.getElementById('round-badge').textContent = this.getStageLabel();
+                // The category intro hands over to the first player when it finishes
+                if (!this.showingIntro) {
+                    this.updatePlayerTurn();
+                    this.startTimer();
+                }
+                break;
+
+            case 'SCORE_REVEAL':
+                this.revealScore(event);
+                break;
 
-        // Find first non-eliminated player
-        this.currentPlayerIndex = this.players.findIndex(p => !p.eliminated);
-        if (this.currentPlayerIndex === -1) this.currentPlayerIndex = 0;
+            case 'ROUND_END':
+            case 'HEAD_TO_HEAD_RESULT':
+                this.endRound(event);
+                break;
 
+            case 'FINAL_CHOICE':
+                // The final's categories haven't been played yet - nothing to undo
+                this.history = [];
+                this.showFinalPicker(event);
+                break;
+
+            case 'GAME_END':
+                this.endGame(event);
+                break;
+        }
+    }
+
+    /**
+     * Put the current category on screen - the rules have already picked the first player
+     */
+    presentCategory() {
         // Clear answer board for new round
-        this.answerBoardEntries = [];
         this.clearAnswerBoard();
 
-        // Reset player round scores
-        this.players.forEach(p => {
-            if (p.roundScores.length < this.currentRound) {
-                p.roundScores.push(null);
-            }
-        });
-
         // Get question type for this category
         this.questionType = this.currentCategory.type || 'standard';
-        this.buildAnswerIndex();
 
         // Update UI
-        document.getElementById('current-round').textContent = this.currentRound;
-        document.getElementById('total-rounds').textContent = this.totalRounds;
-        document.getElementById('category-prompt').textContent = this.currentCategory.question || this.currentCategory.prompt;
+        document.getElementById('round-badge').textContent = this.getStageLabel();
+        document.getElementById('category-prompt').textContent = PointlessRules.getCategoryPrompt(this.currentCategory);
 
         // Setup question type display
         this.setupQuestionTypeDisplay();
@@ -457,6 +701,20 @@ class PointlessGame {
         this.showCategoryIntro();
     }
 
+    /**
+     * Describe where we are in the game, e.g. "Round 2/5" or "Head to Head 1"
+     */
+    getStageLabel(includeTotal = true) {
+        if (this.stage === 'headToHead') {
+            return `Head to Head ${this.rules.headToHead.question}`;
+        }
+        if (this.stage === 'final') {
+            return 'Final';
+        }
+        const label = includeTotal ? `Round ${this.currentRound}/${this.totalRounds}` : `Round ${this.currentRound}`;
+        return this.currentPass === 2 ? `${label} · Pass 2` : label;
+    }
+
     /**
      * Setup display for different question types
      */
@@ -502,41 +760,7 @@ class PointlessGame {
      * Normalize text for matching (case/diacritics/punctuation)
      */
     normalizeAnswer(text) {
-        return text
-            .toLowerCase()
-            .normalize('NFD')
-            .replace(/[\u0300-\u036f]/g, '')
-            .replace(/&/g, ' and ')
-            .replace(/[^a-z0-9\s]/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-    }
-
-    /**
-     * Build answer lookup/index for fast matching and autocomplete
-     */
-    buildAnswerIndex() {
-        this.answerIndex = [];
-        this.answerLookup = new Map();
-
-        if (!this.currentCategory?.answers) return;
-
-        const addEntry = (answer, text, alias = null) => {
-            if (!text) return;
-            const normalized = this.normalizeAnswer(text);
-            if (!normalized) return;
-            this.answerIndex.push({ answer, matchText: normalized, alias });
-            if (!this.answerLookup.has(normalized)) {
-                this.answerLookup.set(normalized, answer);
-            }
-        };
-
-        this.currentCategory.answers.forEach(answer => {
-            addEntry(answer, answer.text);
-            if (answer.aliases && answer.aliases.length) {
-                answer.aliases.forEach(alias => addEntry(answer, alias, alias));
-            }
-        });
+        return PointlessRules.normalizeAnswer(text);
     }
 
     /**
@@ -564,20 +788,35 @@ class PointlessGame {
     /**
      * Update the answer board with a new entry
      */
-    updateAnswerBoard(playerName, answer, points) {
-        this.answerBoardEntries.push({ playerName, answer, points });
-
+    updateAnswerBoard(entry) {
         const entriesContainer = document.getElementById('answer-board-entries');
         if (!entriesContainer) return;
 
-        const entry = document.createElement('div');
-        entry.className = `answer-board-entry ${points === 0 ? 'pointless-entry' : ''}`;
-        entry.innerHTML = `
-            <span class="answer-board-player">${playerName}</span>
-            <span class="answer-board-answer">${answer}</span>
-            <span class="answer-board-score">${points}</span>
+        const element = document.createElement('div');
+        element.className = `answer-board-entry ${entry.score === 0 ? 'pointless-entry' : ''}`;
+        const ruling = entry.ruling ? `<span class="answer-ruling">${this.getRulingLabel(entry.ruling)}</span>` : '';
+        element.innerHTML = `
+            <span class="answer-board-player">${this.escapeHtml(entry.playerName)}</span>
+            <span class="answer-board-answer">${this.escapeHtml(entry.answer)}</span>
+            ${ruling}
+            <span class="answer-board-score">${entry.score}</span>
         `;
-        entriesContainer.appendChild(entry);
+        entriesContainer.appendChild(element);
+    }
+
+    /**
+     * Board label for a host ruling
+     */
+    getRulingLabel(ruling) {
+        return { accept: 'Accepted', reject: 'Rejected', points: 'Host points' }[ruling] || '';
+    }
+
+    /**
+     * Redraw the whole answer board (after undo or a ruling)
+     */
+    renderAnswerBoard() {
+        this.clearAnswerBoard();
+        this.answerBoardEntries.forEach(entry => this.updateAnswerBoard(entry));
     }
 
     /**
@@ -585,14 +824,16 @@ class PointlessGame {
      */
     showCategoryIntro() {
         const intro = document.getElementById('category-intro');
-        document.getElementById('intro-round-num').textContent = this.currentRound;
-        document.getElementById('intro-category-prompt').textContent = this.currentCategory.question || this.currentCategory.prompt;
+        document.getElementById('intro-round-label').textContent = this.getStageLabel(false);
+        document.getElementById('intro-category-prompt').textContent = PointlessRules.getCategoryPrompt(this.currentCategory);
 
         intro.classList.remove('hidden');
+        this.showingIntro = true;
         soundManager.roundStart();
 
         setTimeout(() => {
             intro.classList.add('hidden');
+            this.showingIntro = false;
             this.updatePlayerTurn();
             this.startTimer();
         }, this.reduceMotion ? 500 : 2500);
@@ -676,37 +917,21 @@ class PointlessGame {
     /**
      * Show round results with standings (TV show mode)
      */
-    showRoundResults() {
+    showRoundResults(result) {
         const overlay = document.getElementById('round-results');
         const standingsContainer = document.getElementById('round-standings');
         const eliminationDiv = document.getElementById('elimination-announcement');
 
-        document.getElementById('results-round-num').textContent = this.currentRound;
-
-        // Get active players sorted by round score (highest = worst)
-        const activePlayers = this.getActivePlayers()
-            .map(p => ({
-                ...p,
-                roundScore: p.roundScores[this.currentRound - 1] == null ? 100 : p.roundScores[this.currentRound - 1]
-            }))
-            .sort((a, b) => a.roundScore - b.roundScore);
-
-        // In TV show mode, eliminate highest scorer
-        let eliminatedPlayer = null;
-        if (this.gameMode === 'tv-show' && activePlayers.length > 1) {
-            eliminatedPlayer = activePlayers[activePlayers.length - 1];
-            // Mark them eliminated
-            const realPlayer = this.players.find(p => p.name === eliminatedPlayer.name);
-            if (realPlayer) {
-                realPlayer.eliminated = true;
-                realPlayer.eliminatedRound = this.currentRound;
-            }
-        }
+        document.getElementById('results-header').innerHTML = `END OF ROUND <span>${result.round}</span>`;
+
+        // Active players sorted by round score (highest = worst)
+        const standings = [...result.results].sort((a, b) => a.roundScore - b.roundScore);
+        const eliminatedPlayer = PointlessRules.getPlayer(this.rules, result.eliminatedPlayerId);
 
         // Render standings
-        standingsContainer.innerHTML = activePlayers.map((player, idx) => {
+        standingsContainer.innerHTML = standings.map((entry, idx) => {
             const isLowest = idx === 0;
-            const isEliminated = eliminatedPlayer && player.name === eliminatedPlayer.name;
+            const isEliminated = entry.playerId === result.eliminatedPlayerId;
             let status = '';
             if (isEliminated) status = 'eliminated';
             else if (isLowest) status = 'lowest';
@@ -714,8 +939,8 @@ class PointlessGame {
 
             return `
                 <div class="standing-entry ${status}">
-                    <span class="standing-name">${player.name}</span>
-                    <span class="standing-score">+${player.roundScore}</span>
+                    <span class="standing-name">${entry.playerName}</span>
+                    <span class="standing-score">+${entry.roundScore}</span>
                 </div>
             `;
         }).join('');
@@ -737,27 +962,76 @@ class PointlessGame {
      */
     continueFromRoundResults() {
         document.getElementById('round-results').classList.add('hidden');
+        this.roundResult = null;
+
+        // The rules decide what comes next: another round, the head-to-head, the final or the end
+        this.dispatch({ type: 'NEXT_ROUND' });
 
         // Update podiums to show eliminated
         this.renderPodiums();
+    }
+
+    /**
+     * Show the head-to-head question result - the lowest answer takes it
+     */
+    showHeadToHeadResults(result) {
+        const overlay = document.getElementById('round-results');
+        const standingsContainer = document.getElementById('round-standings');
+        const eliminationDiv = document.getElementById('elimination-announcement');
+        const { question, results, wins, questionWinnerId, eliminatedPlayerId } = result;
 
-        // Check if game should end
-        const activePlayers = this.getActivePlayers();
+        document.getElementById('results-header').innerHTML = `HEAD TO HEAD <span>${question}</span>`;
 
-        if (this.gameMode === 'tv-show' && activePlayers.length <= 1) {
-            // Winner determined!
-            this.endGame();
-            return;
-        }
+        standingsContainer.innerHTML = results.map(({ playerId, playerName, score }) => {
+            let status = 'safe';
+            if (playerId === eliminatedPlayerId) status = 'eliminated';
+            else if (playerId === questionWinnerId) status = 'lowest';
 
-        if (this.currentRound >= this.totalRounds) {
-            this.endGame();
-            return;
+            return `
+                <div class="standing-entry ${status}">
+                    <span class="standing-name">${playerName} (${wins[playerId]} won)</span>
+                    <span class="standing-score">${score}</span>
+                </div>
+            `;
+        }).join('') + (questionWinnerId === null
+            ? '<div class="standing-entry">It\'s a tie - one more question!</div>'
+            : '');
+
+        if (eliminatedPlayerId) {
+            document.getElementById('eliminated-player').textContent = PointlessRules.getPlayer(this.rules, eliminatedPlayerId).name;
+            eliminationDiv.classList.remove('hidden');
+            soundManager.wrong();
+        } else {
+            eliminationDiv.classList.add('hidden');
         }
 
-        // Continue to next round
-        this.currentRound++;
-        this.startRound();
+        overlay.classList.remove('hidden');
+    }
+
+    /**
+     * Show the final - the winner picks a category for the jackpot
+     */
+    showFinalPicker(choice) {
+        document.getElementById('finalist-name').textContent = choice.playerName;
+        document.getElementById('final-jackpot').textContent = `£${choice.jackpot.toLocaleString()}`;
+        document.getElementById('final-options').innerHTML = choice.options.map((categoryIndex, i) => `
+            <button class="btn btn-primary final-option" data-option="${i}">
+                ${this.escapeHtml(PointlessRules.getCategoryPrompt(this.pack.categories[categoryIndex]))}
+            </button>
+        `).join('');
+
+        this.renderPodiums();
+        document.getElementById('final-picker').classList.remove('hidden');
+    }
+
+    /**
+     * Play the final on the chosen category
+     */
+    chooseFinalCategory(optionIndex) {
+        if (!this.dispatch({ type: 'CHOOSE_FINAL_CATEGORY', optionIndex })) return;
+
+        document.getElementById('final-picker').classList.add('hidden');
+        soundManager.click();
     }
 
     /**
@@ -819,40 +1093,18 @@ class PointlessGame {
     }
 
     /**
-     * Get autocomplete suggestions for the current category
+     * Get autocomplete suggestions for the current category, ranked the same way answers are scored
      */
     getAutocompleteSuggestions(query) {
-        const normalizedQuery = this.normalizeAnswer(query);
-        if (!normalizedQuery) return [];
-
-        const suggestions = new Map();
-
-        for (const entry of this.answerIndex) {
-            const matchIndex = entry.matchText.indexOf(normalizedQuery);
-            if (matchIndex === -1) continue;
-
-            const matchType = matchIndex === 0 ? 0 : 1;
-            const existing = suggestions.get(entry.answer.text);
-
-            if (!existing ||
-                matchType < existing.matchType ||
-                (matchType === existing.matchType && matchIndex < existing.matchIndex)) {
-                suggestions.set(entry.answer.text, {
-                    answer: entry.answer,
-                    alias: entry.alias,
-                    matchType,
-                    matchIndex
-                });
-            }
-        }
-
-        return Array.from(suggestions.values())
-            .sort((a, b) =>
-                a.matchType - b.matchType ||
-                a.matchIndex - b.matchIndex ||
-                a.answer.text.localeCompare(b.answer.text)
-            )
-            .slice(0, 8);
+        if (!this.currentCategory) return [];
+
+        return PointlessRules.rankAnswers(this.currentCategory, query, this.rules.settings.matching)
+            .slice(0, 8)
+            .map(match => ({
+                answer: this.currentCategory.answers[match.index],
+                alias: match.alias,
+                kind: match.kind
+            }));
     }
 
     /**
@@ -997,45 +1249,21 @@ class PointlessGame {
             return;
         }
 
-        // Find the answer
-        const answer = this.findAnswer(input);
-
-        if (!answer) {
-            // Wrong answer - not in list
-            this.revealScore(input, 100, false, null, null);
-            return;
-        }
-
-        if (this.usedAnswersThisRound.has(answer.text.toLowerCase())) {
-            // Already used
-            this.revealScore(input, 100, false, 'Already said!', null);
-            return;
-        }
-
-        // Correct answer
-        this.usedAnswersThisRound.add(answer.text.toLowerCase());
-        this.revealScore(answer.text, answer.score, true, null, answer.image);
+        // The rules match it against the answers and aliases, and catch repeats
+        this.giveAnswer(input);
     }
 
     /**
-     * Find an answer by text or alias
+     * Give the current player's answer (null to pass), keeping a snapshot for undo
      */
-    findAnswer(input) {
-        const normalizedInput = this.normalizeAnswer(input);
-        if (!normalizedInput) return null;
-
-        if (this.answerLookup && this.answerLookup.size > 0) {
-            const directMatch = this.answerLookup.get(normalizedInput);
-            if (directMatch) return directMatch;
+    giveAnswer(input, ruling = null) {
+        const snapshot = this.rules;
+        const playerId = PointlessRules.getCurrentPlayerId(this.rules);
+        if (this.dispatch({ type: 'SUBMIT_ANSWER', playerId, answer: input, ruling })) {
+            this.history.push(snapshot);
+            return true;
         }
-
-        return this.currentCategory.answers.find(answer => {
-            if (this.normalizeAnswer(answer.text) === normalizedInput) return true;
-            if (answer.aliases) {
-                return answer.aliases.some(a => this.normalizeAnswer(a) === normalizedInput);
-            }
-            return false;
-        });
+        return false;
     }
 
     /**
@@ -1044,30 +1272,20 @@ class PointlessGame {
     passAnswer() {
         this.stopTimer();
         this.hideAutocomplete();
-        this.revealScore('PASS', 100, false, null, null);
+        this.giveAnswer(null);
     }
 
     /**
      * Reveal score with countdown animation (like the real show!)
      */
-    revealScore(answerText, points, isCorrect, customMessage = null, image = null) {
-        const player = this.players[this.currentPlayerIndex];
-
-        // Save to history for undo (including the answer for proper undo)
-        this.history.push({
-            playerIndex: this.currentPlayerIndex,
-            round: this.currentRound,
-            previousScore: player.score,
-            previousRoundScore: player.roundScores[this.currentRound - 1],
-            usedAnswer: isCorrect ? answerText.toLowerCase() : null
-        });
-
-        // Update scores
-        player.score += points;
-        player.roundScores[this.currentRound - 1] = points;
+    revealScore(reveal) {
+        const answer = reveal.answerIndex === null ? null : this.currentCategory.answers[reveal.answerIndex];
+        const customMessage = reveal.alreadyUsed ? 'Already said!' : null;
+        const image = answer?.image || null;
+        const points = reveal.score;
 
         // Add to answer board
-        this.updateAnswerBoard(player.name, answerText, points);
+        this.updateAnswerBoard(this.answerBoardEntries[this.answerBoardEntries.length - 1]);
 
         // Show score reveal
         const revealArea = document.getElementById('score-reveal-area');
@@ -1075,7 +1293,7 @@ class PointlessGame {
         const scoreBar = document.getElementById('score-bar');
         const scoreValue = document.getElementById('score-value');
 
-        revealedAnswer.textContent = customMessage || answerText;
+        revealedAnswer.textContent = customMessage || reveal.answer;
         revealArea.classList.remove('hidden');
 
         // Reset score display
@@ -1089,11 +1307,16 @@ class PointlessGame {
             scoreValue.classList.remove('counting');
 
             // Play appropriate sound and celebration
-            if (points === 0) {
+            if (reveal.isPointless) {
                 scoreValue.classList.add('pointless');
                 soundManager.pointless();
-                this.showPointlessCelebration();
-            } else if (isCorrect) {
+                // A pointless answer in the final wins the jackpot rather than adding to it
+                if (this.stage !== 'final') {
+                    this.showPointlessCelebration();
+                } else if (!this.reduceMotion) {
+                    this.createConfetti();
+                }
+            } else if (reveal.isCorrect) {
                 soundManager.correct();
             } else {
                 soundManager.wrong();
@@ -1103,7 +1326,13 @@ class PointlessGame {
         // Show image if available
         const imageContainer = document.getElementById('answer-image');
         if (image && image.url) {
-            document.getElementById('answer-img').src = image.url;
+            const img = document.getElementById('answer-img');
+            // A bundled image that's gone missing falls back to the remote copy
+            img.onerror = image.remoteUrl && image.remoteUrl !== image.url ? () => {
+                img.onerror = null;
+                img.src = image.remoteUrl;
+            } : null;
+            img.src = image.url;
             imageContainer.classList.remove('hidden');
             this.currentImage = image;
             this.imageCredits.push(image);
@@ -1163,8 +1392,7 @@ class PointlessGame {
         const celebration = document.getElementById('pointless-celebration');
         celebration.classList.remove('hidden');
 
-        // Add £250 to jackpot!
-        this.jackpot += 250;
+        // The rules have already added £250 to the jackpot
         this.pointlessThisGame++;
         this.updateJackpotDisplay();
 
@@ -1215,38 +1443,28 @@ class PointlessGame {
     }
 
     /**
-     * Move to next player (skipping eliminated in TV show mode)
+     * Move to next player (or the second pass, or the end of the round)
      */
     nextPlayer() {
+        // Players answer or pass before the turn moves on
+        if (this.rules?.phase !== 'revealing') return;
+
         // IMPORTANT: Stop timer before changing player (bug fix)
         this.stopTimer();
-
-        // Find next non-eliminated player
-        let nextIndex = this.currentPlayerIndex + 1;
-        while (nextIndex < this.players.length && this.players[nextIndex].eliminated) {
-            nextIndex++;
-        }
-
-        if (nextIndex >= this.players.length) {
-            // Round complete
-            this.endRound();
-        } else {
-            this.currentPlayerIndex = nextIndex;
-            this.updatePlayerTurn();
-            this.startTimer();
-        }
+        this.dispatch({ type: 'NEXT_PLAYER' });
     }
 
     /**
-     * End current round
+     * End current round or head-to-head question - the results show on "next round"
      */
-    endRound() {
+    endRound(result) {
         this.stopTimer();
         soundManager.roundEnd();
+        this.roundResult = result;
 
-        // Check if game over
-        if (this.currentRound >= this.totalRounds) {
-            this.endGame();
+        // Party mode ends straight after the last round
+        if (this.gameMode !== 'tv-show' && result.isLastRound) {
+            this.dispatch({ type: 'NEXT_ROUND' });
         } else {
             // Ready for next round
             document.getElementById('score-reveal-area').classList.add('hidden');
@@ -1257,88 +1475,150 @@ class PointlessGame {
      * Start next round
      */
     nextRound() {
-        // In TV show mode, show round results with elimination
-        if (this.gameMode === 'tv-show') {
-            this.showRoundResults();
+        if (this.rules?.phase !== 'roundEnd') return;
+
+        if (this.roundResult?.type === 'HEAD_TO_HEAD_RESULT') {
+            this.showHeadToHeadResults(this.roundResult);
             return;
         }
 
-        // Party mode - just continue
-        if (this.currentRound >= this.totalRounds) {
-            this.endGame();
+        // In TV show mode, show round results with elimination
+        if (this.gameMode === 'tv-show') {
+            this.showRoundResults(this.roundResult);
             return;
         }
 
-        this.currentRound++;
-        this.startRound();
+        // Party mode - just continue
+        this.dispatch({ type: 'NEXT_ROUND' });
     }
 
     /**
-     * Undo last answer (with proper answer removal from used set)
+     * Undo last answer - restores the rules as they were before it was given
      */
     undo() {
         if (this.history.length === 0) return;
 
-        const last = this.history.pop();
-        const player = this.players[last.playerIndex];
+        this.stopTimer();
+        this.rules = this.history.pop();
+        this.roundResult = null;
+        this.syncFromRules();
 
-        // Restore scores
-        player.score = last.previousScore;
-        player.roundScores[last.round - 1] = last.previousRoundScore;
+        // Rebuild the board and hand the turn back to whoever gave that answer
+        this.renderAnswerBoard();
+        this.updateJackpotDisplay();
+        document.getElementById('round-badge').textContent = this.getStageLabel();
+        document.getElementById('round-results').classList.add('hidden');
+        this.updatePlayerTurn();
+        this.startTimer();
 
-        // IMPORTANT: Remove the answer from used set (bug fix)
-        if (last.usedAnswer && last.round === this.currentRound) {
-            this.usedAnswersThisRound.delete(last.usedAnswer);
-        }
+        soundManager.click();
+    }
 
-        // Remove last entry from answer board
-        if (last.round === this.currentRound && this.answerBoardEntries.length > 0) {
-            this.answerBoardEntries.pop();
-            const entriesContainer = document.getElementById('answer-board-entries');
-            if (entriesContainer && entriesContainer.lastChild) {
-                entriesContainer.removeChild(entriesContainer.lastChild);
-            }
-        }
+    /**
+     * Open the host ruling dialog for the last answer
+     */
+    showOverride() {
+        if (this.history.length === 0) return;
 
-        // IMPORTANT: If undoing in current round, reset to that player's turn (bug fix)
-        if (last.round === this.currentRound) {
-            this.currentPlayerIndex = last.playerIndex;
-            document.getElementById('score-reveal-area').classList.add('hidden');
-            this.updatePlayerTurn();
-            this.startTimer();
-        } else {
-            this.updateLeaderboard();
-        }
+        const entry = this.answerBoardEntries[this.answerBoardEntries.length - 1];
+        document.getElementById('override-given').textContent = `${entry.playerName}: ${entry.answer} (${entry.score})`;
+        document.getElementById('override-search').value = entry.answer === 'PASS' ? '' : entry.answer;
+        this.updateOverrideCandidates();
 
-        soundManager.click();
+        document.getElementById('override-modal').classList.remove('hidden');
+        document.getElementById('override-search').focus();
+    }
+
+    hideOverride() {
+        document.getElementById('override-modal').classList.add('hidden');
+    }
+
+    /**
+     * List the answers matching the host's search - never the whole category, the TV can see this
+     */
+    updateOverrideCandidates() {
+        const query = document.getElementById('override-search').value;
+        const answers = this.currentCategory.answers;
+
+        document.getElementById('override-answer').innerHTML = PointlessRules.findAnswerCandidates(this.currentCategory, query)
+            .map(index => `<option value="${index}">${this.escapeHtml(PointlessRules.getAnswerText(answers[index]))}</option>`)
+            .join('');
+    }
+
+    /**
+     * Replace the last answer with the host's ruling on it, then reveal it again
+     */
+    overrideLastAnswer(ruling) {
+        if (this.history.length === 0) return;
+
+        const current = this.rules;
+        const entry = this.answerBoardEntries[this.answerBoardEntries.length - 1];
+
+        // Go back to just before the answer and give it again with the ruling
+        this.stopTimer();
+        this.rules = this.history.pop();
+        this.roundResult = null;
+        this.syncFromRules();
+        this.renderAnswerBoard();
+        document.getElementById('round-badge').textContent = this.getStageLabel();
+        document.getElementById('round-results').classList.add('hidden');
+        this.updatePlayerTurn();
+
+        if (!this.giveAnswer(entry.answer, ruling)) {
+            this.history.push(this.rules);
+            this.rules = current;
+            this.syncFromRules();
+            this.renderAnswerBoard();
+            return;
+        }
+        this.updateJackpotDisplay();
+        this.hideOverride();
     }
 
     /**
      * End the game
      */
-    endGame() {
+    endGame(result) {
         soundManager.gameOver();
+        this.stopTimer();
+        this.history = [];
 
-        // Determine winner(s) (lowest score wins)
+        // Winner(s) as decided by the rules (lowest score, or the finalist in TV show mode)
         const sorted = [...this.players].sort((a, b) => a.score - b.score);
         const lowestScore = sorted[0].score;
-        const winners = sorted.filter(p => p.score === lowestScore);
+        const winners = result.winnerIds.map(id => PointlessRules.getPlayer(this.rules, id));
 
         // Show results screen
         this.showScreen('results-screen');
 
         // Handle ties properly
-        const winnerText = winners.length > 1
+        let winnerText = winners.length > 1
             ? `${winners.map(w => w.name).join(' & ')} tie with ${lowestScore} points!`
             : `${winners[0].name} wins with ${lowestScore} points!`;
+        let finalSummary = '';
+
+        if (result.final) {
+            const { answers, wonJackpot, jackpot } = result.final;
+            winnerText = wonJackpot
+                ? `${winners[0].name} wins the £${jackpot.toLocaleString()} jackpot!`
+                : `${winners[0].name} wins! No pointless answer - the £${jackpot.toLocaleString()} jackpot stays put`;
+            finalSummary = `
+                <div class="final-answers">
+                    ${answers.map(a => `
+                        <span class="final-answer ${a.score === 0 ? 'pointless-entry' : ''}">${this.escapeHtml(a.answer)}: ${a.score}</span>
+                    `).join('')}
+                </div>
+            `;
+        }
 
         document.getElementById('winner-announcement').innerHTML = `
             <span class="winner-name">${winnerText}</span>
+            ${finalSummary}
         `;
 
         const standings = document.getElementById('final-standings');
         standings.innerHTML = sorted.map((player, rank) => `
-            <div class="leaderboard-entry ${winners.some(w => w.name === player.name) ? 'first-place' : ''}">
+            <div class="leaderboard-entry ${winners.some(w => w.id === player.id) ? 'first-place' : ''}">
                 <span class="leaderboard-rank">${rank + 1}</span>
                 <span class="leaderboard-name">${player.name}</span>
                 <span class="leaderboard-score">${player.score}</span>
@@ -1350,27 +1630,24 @@ class PointlessGame {
      * Reset game to setup
      */
     resetGame() {
+        this.rules = null;
+        this.players = [];
         this.currentRound = 1;
         this.currentPlayerIndex = 0;
         this.history = [];
         this.imageCredits = [];
-        this.answerIndex = [];
-        this.answerLookup = new Map();
         this.hideAutocomplete();
 
+        // Reset the endgame
+        this.stage = 'rounds';
+        this.roundResult = null;
+        document.getElementById('final-picker').classList.add('hidden');
+
         // Reset jackpot to starting value
-        this.jackpot = 1000;
+        this.jackpot = PointlessRules.STARTING_JACKPOT;
         this.pointlessThisGame = 0;
         this.updateJackpotDisplay();
 
-        // Reset all player state
-        this.players.forEach(p => {
-            p.score = 0;
-            p.roundScores = [];
-            p.eliminated = false;
-            p.eliminatedRound = null;
-        });
-
         this.showScreen('setup-screen');
     }
 
@@ -1386,6 +1663,12 @@ class PointlessGame {
      * Handle global keyboard shortcuts
      */
     handleKeyboard(e) {
+        // The override dialog has its own inputs
+        if (!document.getElementById('override-modal').classList.contains('hidden')) {
+            if (e.key === 'Escape') this.hideOverride();
+            return;
+        }
+
         const isAnswerInput = e.target.tagName === 'INPUT' && e.target.id === 'answer-input';
         if (isAnswerInput) {
             if (e.key === 'ArrowRight' && !e.target.value) {
@@ -1417,6 +1700,13 @@ class PointlessGame {
                     this.undo();
                 }
                 break;
+            case 'o':
+            case 'O':
+                if (!e.target.matches('input')) {
+                    e.preventDefault();
+                    this.showOverride();
+                }
+                break;
             case 'm':
             case 'M':
                 if (!e.target.matches('input')) {
@@ -82,11 +82,20 @@ export class HostController {
           answer: msg.answer,
           score: msg.score,
           isCorrect: msg.isCorrect,
-          isPointless: msg.isPointless
+          isPointless: msg.isPointless,
+          ruling: msg.ruling || null,
+          isReplay: Boolean(msg.isReplay)
         });
       }
     });
 
+    // Last answer rolled back
+    this.client.on(ServerMessages.ANSWER_UNDONE, (msg) => {
+      if (this.callbacks.onAnswerUndone) {
+        this.callbacks.onAnswerUndone(msg.playerId);
+      }
+    });
+
     // Round end
     this.client.on(ServerMessages.ROUND_END, (msg) => {
       if (this.callbacks.onRoundEnd) {
@@ -94,10 +103,31 @@ export class HostController {
       }
     });
 
+    // Head-to-head question result
+    this.client.on(ServerMessages.HEAD_TO_HEAD_RESULT, (msg) => {
+      if (this.callbacks.onHeadToHeadResult) {
+        this.callbacks.onHeadToHeadResult({
+          question: msg.question,
+          results: msg.results,
+          wins: msg.wins,
+          questionWinnerId: msg.questionWinnerId,
+          matchWinnerId: msg.matchWinnerId,
+          eliminatedPlayerId: msg.eliminatedPlayerId
+        });
+      }
+    });
+
+    // Final category choice
+    this.client.on(ServerMessages.FINAL_CHOICE, (msg) => {
+      if (this.callbacks.onFinalChoice) {
+        this.callbacks.onFinalChoice(msg.playerId, msg.playerName, msg.options, msg.jackpot);
+      }
+    });
+
     // Game end
     this.client.on(ServerMessages.GAME_END, (msg) => {
       if (this.callbacks.onGameEnd) {
-        this.callbacks.onGameEnd(msg.winner, msg.standings);
+        this.callbacks.onGameEnd(msg.winner, msg.standings, msg.final);
       }
     });
 
@@ -141,10 +171,30 @@ export class HostController {
     this.client.send(HostMessages.NEXT_ROUND);
   }
 
+  // Roll back the last answer of the current question
+  undo() {
+    this.client.send(HostMessages.UNDO);
+  }
+
+  // Rule on the last answer: { verdict: 'accept', answerIndex } | { verdict: 'reject' } | { verdict: 'points', points }
+  overrideAnswer(ruling) {
+    this.client.send(HostMessages.OVERRIDE_ANSWER, { ruling });
+  }
+
+  // Show a player's latest answer again
+  revealAnswer(playerId) {
+    this.client.send(HostMessages.REVEAL_ANSWER, { playerId });
+  }
+
   kickPlayer(playerId) {
     this.client.send(HostMessages.KICK_PLAYER, { playerId });
   }
 
+  // Pick the final category on the finalist's behalf
+  chooseFinalCategory(optionIndex) {
+    this.client.send(HostMessages.CHOOSE_FINAL_CATEGORY, { optionIndex });
+  }
+
   disconnect() {
     this.client.disconnect();
   }
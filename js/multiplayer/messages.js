@@ -8,7 +8,9 @@ export const HostMessages = {
   NEXT_ROUND: 'NEXT_ROUND',
   REVEAL_ANSWER: 'REVEAL_ANSWER',
   UNDO: 'UNDO',
-  KICK_PLAYER: 'KICK_PLAYER'
+  OVERRIDE_ANSWER: 'OVERRIDE_ANSWER',
+  KICK_PLAYER: 'KICK_PLAYER',
+  CHOOSE_FINAL_CATEGORY: 'CHOOSE_FINAL_CATEGORY'
 };
 
 // Player -> Server messages
@@ -17,7 +19,8 @@ export const PlayerMessages = {
   SUBMIT_ANSWER: 'SUBMIT_ANSWER',
   TYPING: 'TYPING',
   PASS: 'PASS',
-  SET_LANGUAGE: 'SET_LANGUAGE'
+  SET_LANGUAGE: 'SET_LANGUAGE',
+  CHOOSE_FINAL_CATEGORY: 'CHOOSE_FINAL_CATEGORY'
 };
 
 // Server -> Client messages
@@ -30,7 +33,10 @@ export const ServerMessages = {
   ANSWER_SUBMITTED: 'ANSWER_SUBMITTED',
   TURN_START: 'TURN_START',
   SCORE_REVEAL: 'SCORE_REVEAL',
+  ANSWER_UNDONE: 'ANSWER_UNDONE',
   ROUND_END: 'ROUND_END',
+  HEAD_TO_HEAD_RESULT: 'HEAD_TO_HEAD_RESULT',
+  FINAL_CHOICE: 'FINAL_CHOICE',
   GAME_END: 'GAME_END',
   ERROR: 'ERROR'
 };
@@ -41,5 +47,13 @@ export const GamePhase = {
   PLAYING: 'playing',
   REVEALING: 'revealing',
   ROUND_END: 'roundEnd',
+  FINAL_CHOICE: 'finalChoice',
   GAME_OVER: 'gameOver'
 };
+
+// TV show stages
+export const GameStage = {
+  ROUNDS: 'rounds',
+  HEAD_TO_HEAD: 'headToHead',
+  FINAL: 'final'
+};
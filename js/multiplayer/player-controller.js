@@ -86,6 +86,8 @@ export class PlayerController {
           score: msg.score,
           isCorrect: msg.isCorrect,
           isPointless: msg.isPointless,
+          ruling: msg.ruling || null,
+          isReplay: Boolean(msg.isReplay),
           isMyScore
         });
       }
@@ -98,11 +100,36 @@ export class PlayerController {
       }
     });
 
+    // Head-to-head question result
+    this.client.on(ServerMessages.HEAD_TO_HEAD_RESULT, (msg) => {
+      if (this.callbacks.onHeadToHeadResult) {
+        this.callbacks.onHeadToHeadResult({
+          question: msg.question,
+          results: msg.results,
+          wins: msg.wins,
+          questionWinnerId: msg.questionWinnerId,
+          matchWinnerId: msg.matchWinnerId,
+          eliminatedPlayerId: msg.eliminatedPlayerId
+        });
+      }
+    });
+
+    // Final category choice
+    this.client.on(ServerMessages.FINAL_CHOICE, (msg) => {
+      const isMyChoice = msg.playerId === this.myId;
+      if (this.callbacks.onFinalChoice) {
+        this.callbacks.onFinalChoice(msg.playerName, msg.options, msg.jackpot, isMyChoice);
+      }
+      if (isMyChoice) {
+        this.vibrate();
+      }
+    });
+
     // Game end
     this.client.on(ServerMessages.GAME_END, (msg) => {
       const didIWin = msg.winner.id === this.myId;
       if (this.callbacks.onGameEnd) {
-        this.callbacks.onGameEnd(msg.winner, msg.standings, didIWin);
+        this.callbacks.onGameEnd(msg.winner, msg.standings, didIWin, msg.final);
       }
     });
 
@@ -144,6 +171,10 @@ export class PlayerController {
     this.setTyping(false);
   }
 
+  chooseFinalCategory(optionIndex) {
+    this.client.send(PlayerMessages.CHOOSE_FINAL_CATEGORY, { optionIndex });
+  }
+
   setTyping(isTyping) {
     this.client.send(PlayerMessages.TYPING, { isTyping });
   }
@@ -0,0 +1,128 @@
+/**
+ * Pointless Category Lint
+ * Checks categories against the rules in CATEGORY_BRIEFING.md: size, the spread
+ * of points across the difficulty bands, and how many answers are pointless.
+ * Used by the lint-pack CLI (pack-builder/lint-pack.js) and the playtest panel
+ * in pack-builder.html.
+ *
+ * Loaded as a classic <script> in the browser (window.PointlessCategoryLint),
+ * and imported for its side effect in Node. Expects js/shared/rules.js first.
+ */
+(function (root) {
+    // Rule 2: the size sweet spot
+    const SIZE_LIMITS = {
+        tooSmall: 6,        // 1-6: no challenge
+        borderline: 11,     // 7-11: can work if culturally rich
+        perfect: 45,        // 12-45: the sweet spot
+        acceptable: 60,     // 46-60: works if naturally tiered
+        challenging: 100    // 61-100: needs very clear tiers; over 100 is too large
+    };
+
+    // Rule 3: how many answers each difficulty band should have
+    const SCORE_BANDS = [
+        { id: 'high', label: 'High (70-100)', min: 70, max: 100, target: [3, 5] },
+        { id: 'mid-high', label: 'Mid-high (50-69)', min: 50, max: 69, target: [5, 8] },
+        { id: 'mid', label: 'Mid (25-49)', min: 25, max: 49, target: [8, 12] },
+        { id: 'low', label: 'Low (10-24)', min: 10, max: 24, target: [5, 10] },
+        { id: 'very-low', label: 'Very low (1-9)', min: 1, max: 9, target: [3, 6] },
+        { id: 'pointless', label: 'Pointless (0)', min: 0, max: 0, target: [1, 3] }
+    ];
+
+    /**
+     * How many of the category's answers fall in each band, by band id
+     */
+    function countBands(category) {
+        const counts = Object.fromEntries(SCORE_BANDS.map(band => [band.id, 0]));
+        for (const answer of category.answers || []) {
+            const points = root.PointlessRules.getAnswerPoints(answer);
+            const band = SCORE_BANDS.find(b => points >= b.min && points <= b.max);
+            if (band) counts[band.id]++;
+        }
+        return counts;
+    }
+
+    /**
+     * Check one category. Returns { score, size, bands, issues } where score is
+     * the share of briefing checks passed (0-100) and issues are
+     * { severity: 'error' | 'warning', message }.
+     */
+    function lintCategory(category) {
+        const issues = [];
+        const error = message => issues.push({ severity: 'error', message });
+        const warning = message => issues.push({ severity: 'warning', message });
+
+        const size = (category.answers || []).length;
+        if (size <= SIZE_LIMITS.tooSmall) {
+            error(`too small: ${size} answers (aim for 12-45)`);
+        } else if (size <= SIZE_LIMITS.borderline) {
+            warning(`borderline size: ${size} answers (aim for 12-45)`);
+        } else if (size > SIZE_LIMITS.challenging) {
+            error(`too large: ${size} answers (aim for 12-45)`);
+        } else if (size > SIZE_LIMITS.acceptable) {
+            warning(`large: ${size} answers needs very clear difficulty tiers (aim for 12-45)`);
+        }
+
+        const bands = countBands(category);
+        const zeros = bands.pointless;
+        const [minZeros, maxZeros] = SCORE_BANDS.find(band => band.id === 'pointless').target;
+        if (zeros < minZeros) {
+            error('no pointless answers (aim for 1-3)');
+        } else if (zeros > maxZeros) {
+            error(`too many pointless answers: ${zeros} (aim for 1-3)`);
+        }
+        for (const band of SCORE_BANDS) {
+            if (band.id !== 'pointless' && bands[band.id] === 0) {
+                warning(`no answers in the ${band.label} band`);
+            }
+        }
+
+        // One check for the size, one per band
+        const inSweetSpot = size > SIZE_LIMITS.borderline && size <= SIZE_LIMITS.perfect;
+        const bandsOnTarget = SCORE_BANDS
+            .filter(band => bands[band.id] >= band.target[0] && bands[band.id] <= band.target[1]).length;
+        const score = Math.round(100 * ((inSweetSpot ? 1 : 0) + bandsOnTarget) / (SCORE_BANDS.length + 1));
+
+        return { score, size, bands, issues };
+    }
+
+    /**
+     * Check every category in a pack, plus answers that appear in more than
+     * one category. Returns { categories: [{ id, prompt, ...lintCategory }], issues }
+     */
+    function lintPack(pack) {
+        const Rules = root.PointlessRules;
+        const categories = (pack.categories || []).map((category, index) => ({
+            id: category.id || category.name || `categories[${index}]`,
+            prompt: Rules.getCategoryPrompt(category),
+            ...lintCategory(category)
+        }));
+
+        // Answers shared between categories - fine for "Mercury" in planets and
+        // elements, but usually a sign of overlapping categories
+        const seen = new Map();
+        (pack.categories || []).forEach((category, index) => {
+            for (const answer of category.answers || []) {
+                const normalized = Rules.normalizeAnswer(Rules.getAnswerText(answer));
+                if (!normalized) continue;
+                if (!seen.has(normalized)) seen.set(normalized, { text: Rules.getAnswerText(answer), ids: new Set() });
+                seen.get(normalized).ids.add(categories[index].id);
+            }
+        });
+        const issues = [];
+        for (const { text, ids } of seen.values()) {
+            if (ids.size > 1) {
+                issues.push({ severity: 'warning', message: `"${text}" is an answer in ${[...ids].join(', ')}` });
+            }
+        }
+
+        return { categories, issues };
+    }
+
+    root.PointlessCategoryLint = {
+        SIZE_LIMITS,
+        SCORE_BANDS,
+        countBands,
+        lintCategory,
+        lintPack
+    };
+})(globalThis);
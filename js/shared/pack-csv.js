@@ -0,0 +1,338 @@
+/**
+ * Pointless Pack CSV
+ * Converts packs to and from spreadsheets (CSV or TSV), one row per answer:
+ * category id, prompt, type, answer, points, aliases and image. Shared by the
+ * `build-pack csv` CLI (pack-builder/csv.js) and pack-builder.html.
+ *
+ * The prompt and type only need filling in on a category's first row. Aliases
+ * are separated by | (or ;) since answers can contain commas. A row with a
+ * category but no answer or points just declares the category, so empty
+ * categories survive a round trip. Fields a spreadsheet has no column for -
+ * wikidataIds, image credits, translations - are taken from a base pack when
+ * one is given, matching answers by category and text.
+ *
+ * Loaded as a classic <script> in the browser (window.PointlessPackCsv), and
+ * imported for its side effect in Node. Expects js/shared/rules.js and
+ * js/shared/pack-format.js first.
+ */
+(function (root) {
+    const COLUMNS = ['category', 'prompt', 'type', 'answer', 'points', 'aliases', 'image'];
+    const COLUMN_LABELS = {
+        category: 'Category ID',
+        prompt: 'Prompt',
+        type: 'Type',
+        answer: 'Answer',
+        points: 'Points',
+        aliases: 'Aliases',
+        image: 'Image'
+    };
+    const REQUIRED_COLUMNS = ['category', 'answer', 'points'];
+
+    // Headings recognised for each column, as normalizeAnswer leaves them
+    const HEADER_NAMES = {
+        category: ['category id', 'category', 'id'],
+        prompt: ['prompt', 'question', 'category prompt'],
+        type: ['type', 'question type', 'round type'],
+        answer: ['answer', 'text', 'answer text'],
+        points: ['points', 'score'],
+        aliases: ['aliases', 'alias', 'alternatives', 'also accept'],
+        image: ['image', 'image url', 'picture']
+    };
+
+    const ALIAS_SEPARATOR = ' | ';
+
+    /**
+     * Tab if the first line has one, otherwise ; or , - whichever it has more of
+     * (spreadsheets in some locales save CSV with semicolons)
+     */
+    function detectDelimiter(text) {
+        const firstLine = String(text).replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+        if (firstLine.includes('\t')) return '\t';
+        const count = char => firstLine.split(char).length - 1;
+        return count(';') > count(',') ? ';' : ',';
+    }
+
+    /**
+     * Parse CSV/TSV text into rows of cells. Quoted cells may hold the
+     * delimiter, newlines and doubled quotes. A trailing newline doesn't add a row.
+     */
+    function parseDelimited(text, delimiter = detectDelimiter(text)) {
+        const source = String(text).replace(/^\uFEFF/, '');
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Rows as CSV/TSV text, quoting cells that need it
+     */
+    function formatDelimited(rows, delimiter = ',') {
+        const quote = cell => {
+            const text = cell === undefined || cell === null ? '' : String(cell);
+            return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return rows.map(row => row.map(quote).join(delimiter)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Guess which heading holds each column. Returns { column: index or null }.
+     */
+    function guessMapping(header) {
+        const normalized = header.map(cell => root.PointlessRules.normalizeAnswer(cell));
+        const mapping = {};
+        for (const column of COLUMNS) {
+            const index = normalized.findIndex(cell => HEADER_NAMES[column].includes(cell));
+            mapping[column] = index === -1 ? null : index;
+        }
+        return mapping;
+    }
+
+    /**
+     * Required columns the mapping leaves out
+     */
+    function missingColumns(mapping) {
+        return REQUIRED_COLUMNS.filter(column => mapping[column] === null || mapping[column] === undefined);
+    }
+
+    /**
+     * A question type from its id or its label ("Missing Word"), or null
+     */
+    function parseType(value) {
+        const PackFormat = root.PointlessPackFormat;
+        const wanted = root.PointlessRules.normalizeAnswer(value);
+        return PackFormat.QUESTION_TYPES.find(type => root.PointlessRules.normalizeAnswer(type) === wanted ||
+            root.PointlessRules.normalizeAnswer(PackFormat.QUESTION_TYPE_LABELS[type]) === wanted) || null;
+    }
+
+    /**
+     * Build a pack from parsed rows. The first row is the header unless
+     * header is false; mapping defaults to guessMapping(header). Rows with
+     * problems are left out and reported as { row, column, message }, where
+     * row is the spreadsheet's row number.
+     * Returns { pack, errors, answerCount }.
+     */
+    function rowsToPack(rows, { mapping = null, header = true, title = 'Untitled Pack', base = null } = {}) {
+        const Rules = root.PointlessRules;
+        const PackFormat = root.PointlessPackFormat;
+        const columns = mapping || guessMapping(header ? rows[0] || [] : []);
+        const errors = [];
+        const missing = missingColumns(columns);
+        if (missing.length > 0) {
+            errors.push({ row: null, column: null, message: `No ${missing.map(column => COLUMN_LABELS[column]).join(', ')} column` });
+            return { pack: null, errors, answerCount: 0 };
+        }
+
+        const categories = new Map();
+        let answerCount = 0;
+        const firstRow = header ? 1 : 0;
+
+        rows.slice(firstRow).forEach((cells, i) => {
+            const row = i + firstRow + 1;
+            const cell = column => (columns[column] === null || columns[column] === undefined ? '' : String(cells[columns[column]] ?? '')).trim();
+            if (cells.every(value => String(value).trim() === '')) return;
+
+            const rowErrors = [];
+            const fail = (column, message) => rowErrors.push({ row, column, message });
+
+            const id = cell('category');
+            if (!id) {
+                fail('category', 'Category ID is empty');
+                errors.push(...rowErrors);
+                return;
+            }
+
+            const isNew = !categories.has(id);
+            const category = isNew
+                ? { id, prompt: '', type: 'standard', answers: [], firstRow: row, promptRow: null, typeRow: null, seen: new Map() }
+                : categories.get(id);
+
+            const prompt = cell('prompt');
+            if (prompt && category.prompt && prompt !== category.prompt) {
+                fail('prompt', `Prompt differs from row ${category.promptRow} for category "${id}"`);
+            }
+
+            const typeText = cell('type');
+            const type = typeText ? parseType(typeText) : null;
+            if (typeText && !type) {
+                fail('type', `Unknown type "${typeText}" (use ${PackFormat.QUESTION_TYPES.join(', ')})`);
+            } else if (type && category.typeRow !== null && type !== category.type) {
+                fail('type', `Type differs from row ${category.typeRow} for category "${id}"`);
+            }
+
+            const text = cell('answer');
+            const pointsText = cell('points');
+            const aliases = cell('aliases').split(/[|;]/).map(alias => alias.trim()).filter(Boolean);
+            const image = cell('image');
+            const declaresCategory = !text && !pointsText && aliases.length === 0 && !image;
+
+            let points = null;
+            if (!declaresCategory) {
+                if (!text) fail('answer', 'Answer is empty');
+                points = Number(pointsText);
+                if (!pointsText) {
+                    fail('points', 'Points is empty');
+                } else if (!Number.isInteger(points) || points < PackFormat.MIN_POINTS || points > PackFormat.MAX_POINTS) {
+                    fail('points', `Points must be a whole number from ${PackFormat.MIN_POINTS} to ${PackFormat.MAX_POINTS}, not "${pointsText}"`);
+                }
+                const normalized = Rules.normalizeAnswer(text);
+                if (text && !normalized) {
+                    fail('answer', `Answer "${text}" has no letters or digits to match`);
+                } else if (category.seen.has(normalized)) {
+                    fail('answer', `Answer "${text}" duplicates row ${category.seen.get(normalized)} in category "${id}"`);
+                }
+                if (!image && (type || category.type) === 'picture') {
+                    fail('image', 'Picture rounds need an image for every answer');
+                }
+            }
+
+            if (rowErrors.length > 0) {
+                errors.push(...rowErrors);
+                return;
+            }
+
+            if (isNew) categories.set(id, category);
+            if (prompt && !category.prompt) {
+                category.prompt = prompt;
+                category.promptRow = row;
+            }
+            if (type && category.typeRow === null) {
+                category.type = type;
+                category.typeRow = row;
+            }
+            if (declaresCategory) return;
+
+            const answer = { text, points, aliases };
+            if (image) answer.image = { url: image };
+            category.seen.set(Rules.normalizeAnswer(text), row);
+            category.answers.push(answer);
+            answerCount++;
+        });
+
+        for (const category of categories.values()) {
+            if (!category.prompt) {
+                errors.push({ row: category.firstRow, column: 'prompt', message: `Category "${category.id}" has no prompt on any row` });
+            }
+        }
+
+        const pack = {
+            title: base?.title || title,
+            version: base?.version ?? 1,
+            categories: [...categories.values()].map(({ id, prompt, type, answers }) => {
+                const category = { id, prompt };
+                if (type !== 'standard') category.type = type;
+                category.answers = answers;
+                return category;
+            })
+        };
+        if (base) keepBaseFields(pack, base);
+        return { pack, errors, answerCount };
+    }
+
+    /**
+     * Copy the fields a spreadsheet doesn't hold from the matching categories
+     * and answers of a base pack. An image keeps its credits only while its URL
+     * is unchanged.
+     */
+    function keepBaseFields(pack, base) {
+        const Rules = root.PointlessRules;
+        const baseCategories = new Map((base.categories || []).map(category => [category.id, category]));
+        for (const [key, value] of Object.entries(base)) {
+            if (!['title', 'version', 'categories', 'generatedAt'].includes(key)) pack[key] = value;
+        }
+
+        for (const category of pack.categories) {
+            const baseCategory = baseCategories.get(category.id);
+            if (!baseCategory) continue;
+            for (const [key, value] of Object.entries(baseCategory)) {
+                if (!['id', 'prompt', 'type', 'answers'].includes(key)) category[key] = value;
+            }
+
+            const baseAnswers = new Map((baseCategory.answers || []).map(answer => [Rules.normalizeAnswer(Rules.getAnswerText(answer)), answer]));
+            category.answers = category.answers.map(answer => {
+                const baseAnswer = baseAnswers.get(Rules.normalizeAnswer(answer.text));
+                if (!baseAnswer) return answer;
+                const { text, points, aliases, image, answer: legacyText, score, ...kept } = baseAnswer;
+                const merged = { ...answer, ...kept };
+                if (answer.image && image && [image.url, image.remoteUrl].includes(answer.image.url)) {
+                    merged.image = image;
+                }
+                return merged;
+            });
+        }
+    }
+
+    /**
+     * A pack as rows (header first), one per answer - or per category, for
+     * categories with no answers
+     */
+    function packToRows(pack) {
+        const Rules = root.PointlessRules;
+        const rows = [COLUMNS.map(column => COLUMN_LABELS[column])];
+        const migrated = root.PointlessPackFormat.migratePack(pack);
+        for (const category of migrated.categories) {
+            const type = category.type && category.type !== 'standard' ? category.type : '';
+            const prompt = category.prompt || Rules.getCategoryPrompt(category);
+            if (category.answers.length === 0) {
+                rows.push([category.id, prompt, type, '', '', '', '']);
+            }
+            for (const answer of category.answers) {
+                rows.push([
+                    category.id,
+                    prompt,
+                    type,
+                    answer.text,
+                    answer.points,
+                    (answer.aliases || []).join(ALIAS_SEPARATOR),
+                    answer.image ? answer.image.remoteUrl || answer.image.url : ''
+                ]);
+            }
+        }
+        return rows;
+    }
+
+    root.PointlessPackCsv = {
+        COLUMNS,
+        COLUMN_LABELS,
+        REQUIRED_COLUMNS,
+        detectDelimiter,
+        parseDelimited,
+        formatDelimited,
+        guessMapping,
+        missingColumns,
+        rowsToPack,
+        packToRows
+    };
+})(globalThis);
@@ -0,0 +1,252 @@
+/**
+ * Pointless Pack Format
+ * Validation and migration for pack files, shared by the validate-pack CLI
+ * (pack-builder/validate-pack.js) and the game.
+ *
+ * The canonical format is described by pack-builder/pack.schema.json - keep the
+ * two in step. Older shapes (name/question on categories, answer/score on
+ * answers, a bare category instead of a pack) still load in the game, and
+ * migratePack converts them.
+ *
+ * Loaded as a classic <script> in the browser (window.PointlessPackFormat), and
+ * imported for its side effect in Node. Expects js/shared/rules.js first.
+ */
+(function (root) {
+    const QUESTION_TYPES = ['standard', 'anagram', 'picture', 'missing_word'];
+    const QUESTION_TYPE_LABELS = {
+        standard: 'Classic',
+        anagram: 'Anagram',
+        picture: 'Picture',
+        missing_word: 'Missing Word'
+    };
+    const MIN_POINTS = 0;
+    const MAX_POINTS = 100;
+
+    const PACK_FIELDS = ['$schema', 'title', 'version', 'description', 'author', 'generatedAt', 'categories'];
+    const CATEGORY_FIELDS = ['id', 'prompt', 'question', 'type', 'answers', 'translations'];
+    const ANSWER_FIELDS = ['text', 'points', 'aliases', 'wikidataId', 'image', 'scrambled', 'display', 'translations'];
+
+    // Old field names and what replaced them
+    const LEGACY_FIELDS = {
+        pack: { name: 'title' },
+        category: { name: 'id/prompt' },
+        answer: { answer: 'text', score: 'points' }
+    };
+
+    /**
+     * Whether the JSON is a single category rather than a pack
+     */
+    function isBareCategory(json) {
+        return Boolean(json) && Array.isArray(json.answers) && !Array.isArray(json.categories);
+    }
+
+    /**
+     * Turn a category name into an id (e.g. "London Boroughs" -> "london-boroughs")
+     */
+    function slugify(text) {
+        return root.PointlessRules.normalizeAnswer(text).replace(/ /g, '-');
+    }
+
+    /**
+     * Check a pack against the canonical format. Returns a list of
+     * { path, message } problems - empty when the pack is valid.
+     */
+    function validatePack(pack) {
+        const problems = [];
+        const report = (path, message) => problems.push({ path, message });
+
+        if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+            report('', 'must be a JSON object');
+            return problems;
+        }
+        if (isBareCategory(pack)) {
+            report('', 'is a single category, not a pack - migrate it to wrap it in a pack');
+            return problems;
+        }
+
+        checkFields(pack, '', PACK_FIELDS, LEGACY_FIELDS.pack, report);
+        if (!isNonEmptyString(pack.title) && !isReplacedByLegacy(pack, 'title', LEGACY_FIELDS.pack)) {
+            report('title', 'must be a non-empty string');
+        }
+        if (pack.version !== undefined && typeof pack.version !== 'number' && typeof pack.version !== 'string') {
+            report('version', 'must be a number or string');
+        }
+
+        if (!Array.isArray(pack.categories) || pack.categories.length === 0) {
+            report('categories', 'must be a non-empty array');
+            return problems;
+        }
+
+        const ids = new Set();
+        pack.categories.forEach((category, i) => {
+            const path = `categories[${i}]`;
+            if (!category || typeof category !== 'object') {
+                report(path, 'must be an object');
+                return;
+            }
+
+            validateCategory(category, path, report);
+            if (isNonEmptyString(category.id)) {
+                if (ids.has(category.id)) report(`${path}.id`, `duplicate category id "${category.id}"`);
+                ids.add(category.id);
+            }
+        });
+
+        return problems;
+    }
+
+    function validateCategory(category, path, report) {
+        checkFields(category, path, CATEGORY_FIELDS, LEGACY_FIELDS.category, report);
+
+        for (const field of ['id', 'prompt']) {
+            if (!isNonEmptyString(category[field]) && !isReplacedByLegacy(category, field, LEGACY_FIELDS.category)) {
+                report(`${path}.${field}`, 'must be a non-empty string');
+            }
+        }
+        if (category.type !== undefined && !QUESTION_TYPES.includes(category.type)) {
+            report(`${path}.type`, `unsupported type "${category.type}" (use ${QUESTION_TYPES.join(', ')})`);
+        }
+
+        if (!Array.isArray(category.answers) || category.answers.length === 0) {
+            report(`${path}.answers`, 'category has no answers');
+            return;
+        }
+
+        const seen = new Map();
+        category.answers.forEach((answer, i) => {
+            const answerPath = `${path}.answers[${i}]`;
+            if (!answer || typeof answer !== 'object') {
+                report(answerPath, 'must be an object');
+                return;
+            }
+
+            validateAnswer(answer, answerPath, report);
+
+            // Two answers that normalize the same can never both be scored
+            const normalized = root.PointlessRules.normalizeAnswer(answer.text);
+            if (!normalized) return;
+            if (seen.has(normalized)) {
+                report(`${answerPath}.text`, `duplicate of answers[${seen.get(normalized)}] ("${answer.text}")`);
+            } else {
+                seen.set(normalized, i);
+            }
+        });
+    }
+
+    function validateAnswer(answer, path, report) {
+        checkFields(answer, path, ANSWER_FIELDS, LEGACY_FIELDS.answer, report);
+
+        if (!isNonEmptyString(answer.text) && !isReplacedByLegacy(answer, 'text', LEGACY_FIELDS.answer)) {
+            report(`${path}.text`, 'must be a non-empty string');
+        }
+        const validPoints = Number.isInteger(answer.points) && answer.points >= MIN_POINTS && answer.points <= MAX_POINTS;
+        if (!validPoints && !isReplacedByLegacy(answer, 'points', LEGACY_FIELDS.answer)) {
+            report(`${path}.points`, `must be a whole number from ${MIN_POINTS} to ${MAX_POINTS}`);
+        }
+        if (answer.aliases !== undefined &&
+            (!Array.isArray(answer.aliases) || !answer.aliases.every(isNonEmptyString))) {
+            report(`${path}.aliases`, 'must be an array of non-empty strings');
+        }
+        if (answer.wikidataId !== undefined && !/^Q\d+$/.test(answer.wikidataId)) {
+            report(`${path}.wikidataId`, 'must be a Wikidata item id like "Q42"');
+        }
+        if (answer.image !== undefined && !isNonEmptyString(answer.image?.url)) {
+            report(`${path}.image.url`, 'must be a non-empty string');
+        }
+    }
+
+    /**
+     * Report unknown fields, pointing legacy ones at their replacements
+     */
+    function checkFields(object, path, allowed, legacy, report) {
+        const prefix = path ? `${path}.` : '';
+        for (const key of Object.keys(object)) {
+            if (allowed.includes(key)) continue;
+            if (legacy[key]) {
+                report(`${prefix}${key}`, `legacy field - use "${legacy[key]}" (migrate to convert it)`);
+            } else {
+                report(`${prefix}${key}`, 'unknown field');
+            }
+        }
+    }
+
+    /**
+     * Whether a missing field is stood in for by a legacy one - checkFields
+     * already reports that, so the field isn't reported missing as well
+     */
+    function isReplacedByLegacy(object, field, legacy) {
+        return object[field] === undefined && Object.keys(legacy)
+            .some(key => object[key] !== undefined && legacy[key].split('/').includes(field));
+    }
+
+    function isNonEmptyString(value) {
+        return typeof value === 'string' && value.trim() !== '';
+    }
+
+    /**
+     * Convert any older pack shape to the canonical format. Returns a new pack;
+     * fields it doesn't recognise are kept so validatePack can flag them.
+     */
+    function migratePack(json) {
+        const source = isBareCategory(json)
+            ? { title: json.name || json.prompt || json.question || 'Untitled Pack', categories: [json] }
+            : json;
+
+        const { name, title, categories, ...rest } = source;
+        return {
+            title: title || name || 'Untitled Pack',
+            ...rest,
+            categories: (categories || []).map(migrateCategory)
+        };
+    }
+
+    function migrateCategory(category, index) {
+        const { name, question, prompt, id, answers, ...rest } = category;
+
+        // Legacy categories keep their full question in `question` and a short label in `name`
+        const migrated = {
+            id: id || slugify(name || prompt || question) || `category-${index + 1}`,
+            prompt: prompt || question || name,
+            ...rest,
+            answers: (answers || []).map(migrateAnswer)
+        };
+        if (question && prompt) migrated.question = question;
+        return migrated;
+    }
+
+    function migrateAnswer(answer) {
+        const { answer: legacyText, score, text, points, ...rest } = answer;
+        // Missing text or points stay missing for validatePack to report
+        return {
+            text: text || legacyText,
+            points: points ?? score,
+            ...rest
+        };
+    }
+
+    /**
+     * The details shown on a pack card, as listed in packs/index.json
+     */
+    function summarizePack(json) {
+        const pack = migratePack(json);
+        const summary = { title: pack.title };
+        if (pack.description) summary.description = pack.description;
+        if (pack.author) summary.author = pack.author;
+        if (pack.version !== undefined) summary.version = pack.version;
+        summary.categoryCount = pack.categories.length;
+        summary.answerCount = pack.categories.reduce((sum, c) => sum + c.answers.length, 0);
+        summary.types = [...new Set(pack.categories.map(c => c.type || 'standard'))];
+        return summary;
+    }
+
+    root.PointlessPackFormat = {
+        QUESTION_TYPES,
+        QUESTION_TYPE_LABELS,
+        MIN_POINTS,
+        MAX_POINTS,
+        isBareCategory,
+        validatePack,
+        migratePack,
+        summarizePack
+    };
+})(globalThis);
@@ -0,0 +1,821 @@
+/**
+ * Pointless Game Rules
+ * Framework-free state machine shared by the local game (js/game.js),
+ * the self-hosted server (server.js) and PartyKit (party/server.ts).
+ *
+ * reduce(state, action, context) never mutates its input - it returns the
+ * next state plus a list of events for the front end to present. Game state
+ * is plain JSON and refers to categories by their index in context.categories.
+ *
+ * Loaded as a classic <script> in the browser (window.PointlessRules) so the
+ * local game still works from file://, and imported for its side effect in Node.
+ */
+(function (root) {
+    const STARTING_JACKPOT = 1000;
+    const POINTLESS_BONUS = 250;
+    const PASS_SCORE = 100; // A pass, wrong or repeated answer scores the maximum
+
+    // TV show endgame: best-of-three head-to-head, then the jackpot final
+    const HEAD_TO_HEAD_WINS_NEEDED = 2;
+    const FINAL_CATEGORY_CHOICES = 3;
+    const FINAL_ANSWER_COUNT = 3;
+
+    // How far a typed answer may be from a listed one and still count, by answer length
+    // ([shortest length, typos allowed] pairs, longest first)
+    const MATCH_TOLERANCE = {
+        exact: [],
+        lenient: [[9, 2], [5, 1]],
+        'very-lenient': [[11, 3], [7, 2], [4, 1]]
+    };
+    const DEFAULT_MATCHING = 'lenient';
+
+    /**
+     * Normalize text for matching (case/diacritics/punctuation)
+     */
+    function normalizeAnswer(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Answer text, whichever pack format it came from
+     */
+    function getAnswerText(answer) {
+        return answer.text || answer.answer || '';
+    }
+
+    /**
+     * Answer points, whichever pack format it came from
+     */
+    function getAnswerPoints(answer) {
+        return answer.score ?? answer.points ?? 0;
+    }
+
+    /**
+     * Question shown for a category, whichever pack format it came from
+     */
+    function getCategoryPrompt(category) {
+        return category.question || category.prompt || category.name || '';
+    }
+
+    /**
+     * Edit distance where swapping two neighbouring letters counts as one typo
+     */
+    function editDistance(a, b) {
+        const rows = [];
+        for (let i = 0; i <= a.length; i++) {
+            rows.push([i]);
+        }
+        for (let j = 1; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(
+                    rows[i - 1][j] + 1,
+                    rows[i][j - 1] + 1,
+                    rows[i - 1][j - 1] + cost
+                );
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return rows[a.length][b.length];
+    }
+
+    /**
+     * Typos allowed in an answer of this (normalized) length at a strictness level
+     */
+    function getAllowedTypos(length, strictness) {
+        const tolerance = MATCH_TOLERANCE[strictness] || MATCH_TOLERANCE[DEFAULT_MATCHING];
+        const band = tolerance.find(([minLength]) => length >= minLength);
+        return band ? band[1] : 0;
+    }
+
+    /**
+     * Rank the answers in a category against the input, best first. Each result is
+     * { index, alias, kind, distance, position } where kind is 'exact', 'prefix',
+     * 'contains' or 'typo' - a misspelling, or an answer typed a letter or two
+     * short. Autocomplete shows all of them; scoring only takes 'exact' and
+     * 'typo' (see matchAnswer).
+     */
+    function rankAnswers(category, input, strictness = DEFAULT_MATCHING) {
+        const query = normalizeAnswer(input);
+        if (!query || !category?.answers) return [];
+
+        const kinds = ['exact', 'prefix', 'contains', 'typo'];
+        // An answer's text or alias that would score beats one that only autocompletes
+        const preference = ['exact', 'typo', 'prefix', 'contains'];
+        const ranked = [];
+
+        category.answers.forEach((answer, index) => {
+            const texts = [[getAnswerText(answer), null], ...(answer.aliases || []).map(alias => [alias, alias])];
+            let best = null;
+
+            for (const [text, alias] of texts) {
+                const normalized = normalizeAnswer(text);
+                if (!normalized) continue;
+
+                let match = null;
+                if (normalized === query) {
+                    match = { kind: 'exact', distance: 0, position: 0 };
+                } else {
+                    const allowed = getAllowedTypos(normalized.length, strictness);
+                    // Cheap length check before the full distance
+                    const distance = allowed > 0 && Math.abs(normalized.length - query.length) <= allowed
+                        ? editDistance(query, normalized)
+                        : Infinity;
+                    const position = normalized.indexOf(query);
+                    if (distance <= allowed) {
+                        match = { kind: 'typo', distance, position: 0 };
+                    } else if (position !== -1) {
+                        match = { kind: position === 0 ? 'prefix' : 'contains', distance: 0, position };
+                    }
+                }
+
+                if (match && (!best ||
+                    preference.indexOf(match.kind) < preference.indexOf(best.kind) ||
+                    (match.kind === best.kind && match.distance < best.distance))) {
+                    best = { index, alias, ...match };
+                }
+            }
+
+            if (best) ranked.push(best);
+        });
+
+        return ranked.sort((a, b) =>
+            kinds.indexOf(a.kind) - kinds.indexOf(b.kind) ||
+            a.distance - b.distance ||
+            a.position - b.position ||
+            getAnswerText(category.answers[a.index]).localeCompare(getAnswerText(category.answers[b.index]))
+        );
+    }
+
+    /**
+     * How the input matches for scoring: { index, match, ties }. match is the
+     * rankAnswers result that scores (null if none) and ties are the indices of
+     * the other answers that matched as well. An answer's own text beats
+     * another answer's alias, and a text shared by two answers scores the
+     * first; an alias shared by two answers, or typos equally close to two,
+     * match nothing (index -1).
+     */
+    function matchAnswer(category, input, strictness = DEFAULT_MATCHING) {
+        const ranked = rankAnswers(category, input, strictness);
+
+        const exact = ranked.filter(match => match.kind === 'exact');
+        const byText = exact.filter(match => match.alias === null);
+        if (byText.length > 0) {
+            const [best, ...ties] = byText;
+            return { index: best.index, match: best, ties: ties.map(match => match.index) };
+        }
+        if (exact.length > 1) return { index: -1, match: null, ties: exact.map(match => match.index) };
+        if (exact.length === 1) return { index: exact[0].index, match: exact[0], ties: [] };
+
+        const typos = ranked.filter(match => match.kind === 'typo');
+        if (typos.length === 0) return { index: -1, match: null, ties: [] };
+        const closest = typos.filter(match => match.distance === typos[0].distance);
+        if (closest.length > 1) return { index: -1, match: null, ties: closest.map(match => match.index) };
+        return { index: typos[0].index, match: typos[0], ties: [] };
+    }
+
+    /**
+     * Find the index of the answer matching the input by text or alias, or -1.
+     * Typos are forgiven up to the strictness level, unless two answers are equally close.
+     */
+    function findAnswerIndex(category, input, strictness = DEFAULT_MATCHING) {
+        return matchAnswer(category, input, strictness).index;
+    }
+
+    /**
+     * Indices of answers sharing a word with the query - for the host to pick from when overruling
+     */
+    function findAnswerCandidates(category, query) {
+        const words = normalizeAnswer(query).split(' ').filter(word => word.length > 1);
+        if (words.length === 0 || !category?.answers) return [];
+
+        const indices = [];
+        category.answers.forEach((answer, index) => {
+            const texts = [getAnswerText(answer), ...(answer.aliases || [])];
+            const answerWords = texts.flatMap(text => normalizeAnswer(text).split(' '));
+            // Whole words, or the start of one once the host has typed a few letters
+            const matches = word => answerWords.some(w => w === word || (word.length > 2 && w.startsWith(word)));
+            if (words.some(matches)) {
+                indices.push(index);
+            }
+        });
+        return indices;
+    }
+
+    /**
+     * Create a game in the lobby for the given players ({ id, name }) in seat order
+     */
+    function createGame(players, settings = {}) {
+        return {
+            phase: 'lobby', // lobby | playing | revealing | roundEnd | finalChoice | gameOver
+            stage: 'rounds', // rounds | headToHead | final
+            settings: {
+                totalRounds: settings.totalRounds || 5,
+                gameMode: settings.gameMode || 'party',
+                twoPass: Boolean(settings.twoPass),
+                matching: MATCH_TOLERANCE[settings.matching] ? settings.matching : DEFAULT_MATCHING // exact | lenient | very-lenient
+            },
+            players: players.map(p => ({
+                id: p.id,
+                name: p.name,
+                score: 0,
+                roundScores: [],
+                eliminated: false,
+                eliminatedRound: null
+            })),
+            totalRounds: 0,
+            currentRound: 0,
+            roundCategories: [],
+            categoryPool: [],
+            currentCategory: null,
+            pass: 1, // 1 = first pass, 2 = second pass (reverse)
+            passOrder: [], // Player ids in turn order for the current pass
+            turn: 0,
+            usedAnswers: [], // Indices of answers already given this question
+            answerBoard: [],
+            jackpot: STARTING_JACKPOT,
+            headToHead: null, // { playerIds, wins, question, answers }
+            final: null // { playerId, options, category, answers, wonJackpot }
+        };
+    }
+
+    /**
+     * Get a player by id
+     */
+    function getPlayer(state, playerId) {
+        return state.players.find(p => p.id === playerId) || null;
+    }
+
+    /**
+     * Get active (non-eliminated) players in seat order
+     */
+    function getActivePlayers(state) {
+        return state.players.filter(p => !p.eliminated);
+    }
+
+    /**
+     * Get the id of the player whose turn it is, or null
+     */
+    function getCurrentPlayerId(state) {
+        if (state.phase === 'lobby' || state.phase === 'gameOver') return null;
+        return state.passOrder[state.turn] ?? null;
+    }
+
+    /**
+     * Get the id of the player who has won the head-to-head, or null if still undecided
+     */
+    function getHeadToHeadWinnerId(state) {
+        if (!state.headToHead) return null;
+        return state.headToHead.playerIds.find(id => state.headToHead.wins[id] >= HEAD_TO_HEAD_WINS_NEEDED) || null;
+    }
+
+    /**
+     * Whether the round just finished was the last of the main rounds
+     */
+    function isLastRound(state) {
+        return state.stage === 'rounds' && state.currentRound >= state.totalRounds;
+    }
+
+    /**
+     * Apply an action, returning { state, events }. Invalid actions leave the state untouched.
+     */
+    function reduce(state, action, context = {}) {
+        const handler = handlers[action.type];
+        if (!handler) return { state, events: [] };
+
+        const draft = JSON.parse(JSON.stringify(state)); // State is plain JSON
+        const ctx = {
+            categories: context.categories || [],
+            random: context.random || Math.random,
+            events: []
+        };
+
+        if (handler(draft, action, ctx) === false) {
+            return { state, events: [] };
+        }
+        return { state: draft, events: ctx.events };
+    }
+
+    const handlers = {
+        START_GAME(state, action, ctx) {
+            if (state.phase !== 'lobby' || ctx.categories.length === 0 || state.players.length === 0) {
+                return false;
+            }
+
+            // Never play more rounds than there are categories
+            let totalRounds = Math.min(state.settings.totalRounds, ctx.categories.length);
+
+            // In TV show mode, eliminate down to the last two for the head-to-head
+            if (state.settings.gameMode === 'tv-show') {
+                totalRounds = Math.min(totalRounds, Math.max(state.players.length - 2, 0));
+            }
+
+            // Select random categories for rounds, keeping the rest for the endgame
+            const shuffled = shuffleIndices(ctx.categories.length, ctx.random);
+            state.totalRounds = totalRounds;
+            state.roundCategories = shuffled.slice(0, totalRounds);
+            state.categoryPool = shuffled.slice(totalRounds);
+            state.currentRound = 1;
+            state.jackpot = STARTING_JACKPOT;
+            state.stage = 'rounds';
+            state.headToHead = null;
+            state.final = null;
+
+            for (const player of state.players) {
+                player.score = 0;
+                player.roundScores = [];
+                player.eliminated = false;
+                player.eliminatedRound = null;
+            }
+
+            // Two players go straight to the head-to-head
+            if (totalRounds === 0) {
+                startHeadToHead(state, ctx);
+            } else {
+                startRound(state, ctx);
+            }
+        },
+
+        SUBMIT_ANSWER(state, action, ctx) {
+            if (state.phase !== 'playing' || action.playerId !== getCurrentPlayerId(state)) {
+                return false;
+            }
+            if (action.ruling && !isValidRuling(action.ruling, ctx.categories[state.currentCategory])) {
+                return false;
+            }
+            scoreAnswer(state, action.playerId, action.answer ? String(action.answer).trim() : '', ctx, action.ruling || null);
+        },
+
+        NEXT_PLAYER(state, action, ctx) {
+            if (state.phase !== 'revealing') return false;
+            advanceTurn(state, ctx);
+        },
+
+        SKIP_TURN(state, action, ctx) {
+            // The current player can't answer (e.g. disconnected) - move on without scoring
+            if (state.phase !== 'playing') return false;
+            if (state.stage === 'final') {
+                endGame(state, ctx);
+                return;
+            }
+            advanceTurn(state, ctx);
+        },
+
+        NEXT_ROUND(state, action, ctx) {
+            if (state.phase !== 'roundEnd') return false;
+
+            if (state.stage === 'headToHead') {
+                if (getHeadToHeadWinnerId(state)) {
+                    startFinal(state, ctx);
+                } else {
+                    state.headToHead.question++;
+                    startHeadToHeadQuestion(state, ctx);
+                }
+                return;
+            }
+
+            const activeCount = getActivePlayers(state).length;
+            if (state.settings.gameMode === 'tv-show' && (isLastRound(state) || activeCount <= 2)) {
+                startHeadToHead(state, ctx);
+            } else if (isLastRound(state) || activeCount <= 1) {
+                endGame(state, ctx);
+            } else {
+                state.currentRound++;
+                startRound(state, ctx);
+            }
+        },
+
+        CHOOSE_FINAL_CATEGORY(state, action, ctx) {
+            if (state.phase !== 'finalChoice' || state.final.options[action.optionIndex] === undefined) {
+                return false;
+            }
+            state.final.category = state.final.options[action.optionIndex];
+            state.currentCategory = state.final.category;
+            presentCategory(state, [state.final.playerId], ctx);
+        }
+    };
+
+    /**
+     * Fisher-Yates shuffle of category indices
+     */
+    function shuffleIndices(count, random) {
+        const indices = Array.from({ length: count }, (_, i) => i);
+        for (let i = indices.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [indices[i], indices[j]] = [indices[j], indices[i]];
+        }
+        return indices;
+    }
+
+    /**
+     * Take an unplayed category for the head-to-head or final
+     */
+    function drawCategory(state, ctx) {
+        if (state.categoryPool.length === 0) {
+            // Reshuffle if we run out
+            state.categoryPool = shuffleIndices(ctx.categories.length, ctx.random);
+        }
+        return state.categoryPool.shift();
+    }
+
+    /**
+     * Start a main round with every active player in seat order
+     */
+    function startRound(state, ctx) {
+        state.currentCategory = state.roundCategories[state.currentRound - 1];
+        for (const player of state.players) {
+            player.roundScores[state.currentRound - 1] = null;
+        }
+        presentCategory(state, getActivePlayers(state).map(p => p.id), ctx);
+    }
+
+    /**
+     * Put the current category in play and hand the turn to the first player
+     */
+    function presentCategory(state, playerIds, ctx) {
+        state.phase = 'playing';
+        state.usedAnswers = [];
+        state.answerBoard = [];
+        state.pass = 1;
+        state.passOrder = playerIds;
+        state.turn = 0;
+
+        ctx.events.push({
+            type: 'CATEGORY_START',
+            stage: state.stage,
+            round: state.currentRound,
+            question: state.headToHead?.question ?? null,
+            categoryIndex: state.currentCategory
+        });
+
+        if (state.passOrder.length === 0) {
+            endQuestion(state, ctx);
+        } else {
+            startTurn(state, ctx);
+        }
+    }
+
+    /**
+     * Announce the current player's turn
+     */
+    function startTurn(state, ctx) {
+        const playerId = getCurrentPlayerId(state);
+        ctx.events.push({
+            type: 'TURN_START',
+            playerId,
+            playerName: getPlayer(state, playerId)?.name,
+            pass: state.pass
+        });
+    }
+
+    /**
+     * Check a host ruling: accept as an answer in the category, reject, or award custom points
+     */
+    function isValidRuling(ruling, category) {
+        switch (ruling.verdict) {
+            case 'accept':
+                return Number.isInteger(ruling.answerIndex) && Boolean(category?.answers?.[ruling.answerIndex]);
+            case 'reject':
+                return true;
+            case 'points':
+                return Number.isInteger(ruling.points) && ruling.points >= 0 && ruling.points <= PASS_SCORE;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Score an answer (empty for a pass) for the current player, or apply the host's ruling on it
+     */
+    function scoreAnswer(state, playerId, input, ctx, ruling) {
+        const player = getPlayer(state, playerId);
+        const category = ctx.categories[state.currentCategory];
+
+        let score = PASS_SCORE;
+        let isCorrect = false;
+        let alreadyUsed = false;
+        let displayAnswer = input || 'PASS';
+
+        let answerIndex = input ? findAnswerIndex(category, input, state.settings.matching) : -1;
+        if (ruling) {
+            // The host's call stands, even over a repeat
+            answerIndex = ruling.verdict === 'accept' ? ruling.answerIndex : -1;
+            if (ruling.verdict === 'points') {
+                score = ruling.points;
+                isCorrect = true;
+            }
+        }
+
+        if (answerIndex !== -1 && state.usedAnswers.includes(answerIndex) && !ruling) {
+            alreadyUsed = true;
+        } else if (answerIndex !== -1) {
+            const answer = category.answers[answerIndex];
+            score = getAnswerPoints(answer);
+            isCorrect = true;
+            displayAnswer = getAnswerText(answer);
+            if (!state.usedAnswers.includes(answerIndex)) {
+                state.usedAnswers.push(answerIndex);
+            }
+        }
+
+        const isPointless = isCorrect && score === 0;
+
+        // A pointless answer in the final wins the jackpot rather than adding to it
+        if (isPointless && state.stage !== 'final') {
+            state.jackpot += POINTLESS_BONUS;
+        }
+
+        // The head-to-head and final are played outside the running totals
+        if (state.stage === 'headToHead') {
+            state.headToHead.answers[playerId] = score;
+        } else if (state.stage === 'final') {
+            state.final.answers.push({ answer: displayAnswer, score });
+        } else {
+            // With two passes the round score is the sum of both answers
+            const roundIndex = state.currentRound - 1;
+            player.score += score;
+            player.roundScores[roundIndex] = (player.roundScores[roundIndex] ?? 0) + score;
+        }
+
+        state.answerBoard.push({
+            playerId,
+            playerName: player.name,
+            answer: displayAnswer,
+            score,
+            isCorrect,
+            ruling: ruling ? ruling.verdict : null // accept | reject | points when the host overrode it
+        });
+        state.phase = 'revealing';
+
+        ctx.events.push({
+            type: 'SCORE_REVEAL',
+            playerId,
+            playerName: player.name,
+            answer: displayAnswer,
+            score,
+            isCorrect,
+            isPointless,
+            alreadyUsed,
+            answerIndex: answerIndex !== -1 && isCorrect ? answerIndex : null,
+            ruling: ruling ? ruling.verdict : null
+        });
+    }
+
+    /**
+     * Move on to the next player, the second pass, or the end of the question
+     */
+    function advanceTurn(state, ctx) {
+        // The finalist keeps the turn until all their answers are in
+        if (state.stage === 'final') {
+            if (state.final.answers.length >= FINAL_ANSWER_COUNT) {
+                endGame(state, ctx);
+            } else {
+                state.phase = 'playing';
+                startTurn(state, ctx);
+            }
+            return;
+        }
+
+        state.turn++;
+
+        // Second pass goes back through in reverse order, keeping the answer board
+        if (state.turn >= state.passOrder.length && state.stage === 'rounds' &&
+            state.settings.twoPass && state.pass === 1) {
+            state.pass = 2;
+            state.passOrder = [...state.passOrder].reverse();
+            state.turn = 0;
+        }
+
+        if (state.turn >= state.passOrder.length) {
+            endQuestion(state, ctx);
+        } else {
+            state.phase = 'playing';
+            startTurn(state, ctx);
+        }
+    }
+
+    /**
+     * Everyone has answered the current category
+     */
+    function endQuestion(state, ctx) {
+        if (state.stage === 'headToHead') {
+            endHeadToHeadQuestion(state, ctx);
+        } else if (state.stage === 'final') {
+            endGame(state, ctx);
+        } else {
+            endRound(state, ctx);
+        }
+    }
+
+    /**
+     * End a main round - in TV show mode the worst round score goes out
+     */
+    function endRound(state, ctx) {
+        state.phase = 'roundEnd';
+        const roundIndex = state.currentRound - 1;
+
+        // Unanswered counts as a pass
+        const results = getActivePlayers(state).map(p => ({
+            playerId: p.id,
+            playerName: p.name,
+            roundScore: p.roundScores[roundIndex] ?? PASS_SCORE
+        }));
+
+        // The last two go through to the head-to-head
+        let eliminatedPlayerId = null;
+        if (state.settings.gameMode === 'tv-show' && results.length > 2) {
+            // Highest round score goes; ties go to the higher running total, then the later seat
+            const worst = results.reduce((worstSoFar, result) => {
+                if (result.roundScore !== worstSoFar.roundScore) {
+                    return result.roundScore > worstSoFar.roundScore ? result : worstSoFar;
+                }
+                const total = getPlayer(state, result.playerId).score;
+                const worstTotal = getPlayer(state, worstSoFar.playerId).score;
+                return total >= worstTotal ? result : worstSoFar;
+            });
+            const eliminated = getPlayer(state, worst.playerId);
+            eliminated.eliminated = true;
+            eliminated.eliminatedRound = state.currentRound;
+            eliminatedPlayerId = eliminated.id;
+        }
+
+        ctx.events.push({
+            type: 'ROUND_END',
+            round: state.currentRound,
+            results,
+            eliminatedPlayerId,
+            isLastRound: isLastRound(state)
+        });
+    }
+
+    /**
+     * Start the head-to-head between the two lowest-scoring active players
+     */
+    function startHeadToHead(state, ctx) {
+        const contenders = [...getActivePlayers(state)].sort((a, b) => a.score - b.score);
+
+        // A lone survivor goes straight to the final
+        if (contenders.length < 2) {
+            startFinal(state, ctx);
+            return;
+        }
+
+        // Anyone beyond the best two (rounds ran out early) goes out now
+        for (const player of contenders.slice(2)) {
+            player.eliminated = true;
+            player.eliminatedRound = state.currentRound;
+        }
+
+        const playerIds = getActivePlayers(state).map(p => p.id);
+        state.stage = 'headToHead';
+        state.headToHead = {
+            playerIds,
+            wins: Object.fromEntries(playerIds.map(id => [id, 0])),
+            question: 1,
+            answers: {}
+        };
+
+        startHeadToHeadQuestion(state, ctx);
+    }
+
+    /**
+     * Play the next head-to-head question
+     */
+    function startHeadToHeadQuestion(state, ctx) {
+        state.headToHead.answers = {};
+        state.currentCategory = drawCategory(state, ctx);
+        presentCategory(state, state.headToHead.playerIds, ctx);
+    }
+
+    /**
+     * Score the head-to-head question - the lowest answer takes it
+     */
+    function endHeadToHeadQuestion(state, ctx) {
+        state.phase = 'roundEnd';
+        const { playerIds, answers, wins, question } = state.headToHead;
+
+        // Unanswered counts as a pass
+        const results = playerIds.map(id => ({
+            playerId: id,
+            playerName: getPlayer(state, id).name,
+            score: answers[id] ?? PASS_SCORE
+        }));
+
+        let questionWinnerId = null;
+        if (results[0].score !== results[1].score) {
+            questionWinnerId = results[0].score < results[1].score ? results[0].playerId : results[1].playerId;
+            wins[questionWinnerId]++;
+        }
+
+        const matchWinnerId = getHeadToHeadWinnerId(state);
+        let eliminatedPlayerId = null;
+        if (matchWinnerId) {
+            eliminatedPlayerId = playerIds.find(id => id !== matchWinnerId);
+            const eliminated = getPlayer(state, eliminatedPlayerId);
+            eliminated.eliminated = true;
+            eliminated.eliminatedRound = state.currentRound;
+        }
+
+        ctx.events.push({
+            type: 'HEAD_TO_HEAD_RESULT',
+            question,
+            results,
+            wins: { ...wins },
+            questionWinnerId,
+            matchWinnerId,
+            eliminatedPlayerId
+        });
+    }
+
+    /**
+     * Start the final - the winner picks a category for the jackpot
+     */
+    function startFinal(state, ctx) {
+        const finalist = getActivePlayers(state)[0];
+        if (!finalist) {
+            endGame(state, ctx);
+            return;
+        }
+
+        state.stage = 'final';
+        state.phase = 'finalChoice';
+        state.passOrder = [finalist.id];
+        state.turn = 0;
+        state.final = {
+            playerId: finalist.id,
+            options: Array.from({ length: FINAL_CATEGORY_CHOICES }, () => drawCategory(state, ctx)),
+            category: null,
+            answers: [],
+            wonJackpot: false
+        };
+
+        ctx.events.push({
+            type: 'FINAL_CHOICE',
+            playerId: finalist.id,
+            playerName: finalist.name,
+            options: [...state.final.options],
+            jackpot: state.jackpot
+        });
+    }
+
+    /**
+     * End the game - lowest total wins, or the finalist in TV show mode
+     */
+    function endGame(state, ctx) {
+        state.phase = 'gameOver';
+
+        let winnerIds;
+        let final = null;
+        if (state.stage === 'final') {
+            state.final.wonJackpot = state.final.answers.some(a => a.score === 0);
+            winnerIds = [state.final.playerId];
+            final = {
+                answers: state.final.answers,
+                wonJackpot: state.final.wonJackpot,
+                jackpot: state.jackpot
+            };
+        } else {
+            const lowestScore = Math.min(...state.players.map(p => p.score));
+            winnerIds = state.players.filter(p => p.score === lowestScore).map(p => p.id);
+        }
+
+        ctx.events.push({ type: 'GAME_END', winnerIds, final });
+    }
+
+    root.PointlessRules = {
+        STARTING_JACKPOT,
+        POINTLESS_BONUS,
+        PASS_SCORE,
+        HEAD_TO_HEAD_WINS_NEEDED,
+        FINAL_CATEGORY_CHOICES,
+        FINAL_ANSWER_COUNT,
+        normalizeAnswer,
+        getAnswerText,
+        getAnswerPoints,
+        getCategoryPrompt,
+        rankAnswers,
+        matchAnswer,
+        findAnswerIndex,
+        findAnswerCandidates,
+        createGame,
+        getPlayer,
+        getActivePlayers,
+        getCurrentPlayerId,
+        getHeadToHeadWinnerId,
+        isLastRound,
+        reduce
+    };
+})(globalThis);
@@ -0,0 +1,95 @@
+/**
+ * Pointless Pack Builder Aliases
+ *
+ * The other names each answer is accepted under: Wikidata's "also known as"
+ * labels plus forms players tend to use, with any alias that could mean two
+ * answers left out.
+ */
+
+import '../js/shared/rules.js';
+import { getWikidataAliases } from './wikimedia.js';
+
+const Rules = globalThis.PointlessRules;
+
+/**
+ * Alternative forms of a label that players are likely to give:
+ * without a parenthetical qualifier ("Mercury (planet)" -> "Mercury"),
+ * without a leading "The" ("The Beatles" -> "Beatles"), and a surname for people
+ */
+export function deriveAliases(label, isHuman) {
+    const forms = [];
+
+    const unqualified = label.replace(/\s*\([^)]*\)\s*$/, '').trim();
+    if (unqualified && unqualified !== label) forms.push(unqualified);
+
+    const withoutThe = unqualified.replace(/^the\s+/i, '');
+    if (withoutThe !== unqualified) forms.push(withoutThe);
+
+    if (isHuman) {
+        // Skip suffixes and regnal numbers ("Martin Luther King Jr." -> "King", "Elizabeth II" -> none)
+        const words = unqualified.split(/\s+/)
+            .map(word => word.replace(/,$/, ''))
+            .filter(word => !/^(jr|sr)\.?$/i.test(word) && !/^[IVXL]+$/.test(word));
+        if (words.length > 1) forms.push(words[words.length - 1]);
+    }
+
+    return forms;
+}
+
+/**
+ * Fill in each answer's aliases from Wikidata and derived forms. Aliases are
+ * deduplicated by the game's own normalization; one that would match two
+ * different answers is dropped and reported, since the game couldn't tell
+ * which was meant.
+ */
+export async function addAliases(answers, options = {}) {
+    const ids = answers.map(a => a.wikidataId).filter(Boolean);
+    const wikidata = options.wikidata === false ? new Map() : await getWikidataAliases(ids);
+
+    // Every normalized form and the answers claiming it - each label claims its own
+    const owners = new Map();
+    const claim = (form, index) => {
+        if (!owners.has(form)) owners.set(form, new Set());
+        owners.get(form).add(index);
+    };
+
+    const candidates = answers.map((answer, index) => {
+        const { altLabels = [], isHuman = false } = wikidata.get(answer.wikidataId) || {};
+        const label = Rules.normalizeAnswer(answer.text);
+        claim(label, index);
+
+        const forms = [
+            ...altLabels,
+            ...(options.derived === false ? [] : deriveAliases(answer.text, isHuman && options.surnames !== false))
+        ];
+        const unique = new Map();
+        for (const alias of forms) {
+            const form = Rules.normalizeAnswer(alias);
+            if (form.length < 2 || form === label || unique.has(form)) continue;
+            unique.set(form, alias.trim());
+            claim(form, index);
+        }
+        return unique;
+    });
+
+    const dropped = new Map();
+    answers.forEach((answer, index) => {
+        answer.aliases = [];
+        for (const [form, alias] of candidates[index]) {
+            if (owners.get(form).size > 1) {
+                dropped.set(form, { alias, texts: [...owners.get(form)].map(i => answers[i].text) });
+            } else {
+                answer.aliases.push(alias);
+            }
+        }
+    });
+
+    const aliasCount = answers.reduce((sum, a) => sum + a.aliases.length, 0);
+    console.log(`  Added ${aliasCount} aliases`);
+    if (dropped.size > 0) {
+        console.log(`  Dropped ${dropped.size} ambiguous aliases:`);
+        for (const { alias, texts } of dropped.values()) {
+            console.log(`    "${alias}" would match ${texts.map(text => `"${text}"`).join(' / ')}`);
+        }
+    }
+}
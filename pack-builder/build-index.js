@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Pointless Pack Index
+ *
+ * Writes packs/index.json - the list of packs the game offers - from every
+ * packs/<pack>/pack.json. The game reads the index and only fetches a pack when
+ * it is picked. build-pack updates the index itself; run this after adding or
+ * removing a pack by hand.
+ *
+ * A folder without a pack.json can hold single-category files instead (e.g.
+ * packs/music/u2-albums.json) - each is listed as a one-category pack, which
+ * the game wraps when it loads it. Any other JSON there is reported and skipped.
+ *
+ * Packs already in the index keep their place (reorder the file to change the
+ * game numbers); new packs are added at the end.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import '../js/shared/rules.js';
+import '../js/shared/pack-format.js';
+
+const PackFormat = globalThis.PointlessPackFormat;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PACKS_DIR = path.join(__dirname, '..', 'packs');
+
+/**
+ * Rebuild <packsDir>/index.json, returning the index
+ */
+export function updatePackIndex(packsDir = DEFAULT_PACKS_DIR) {
+    const indexPath = path.join(packsDir, 'index.json');
+    const previousOrder = fs.existsSync(indexPath)
+        ? JSON.parse(fs.readFileSync(indexPath, 'utf8')).packs.map(entry => entry.id)
+        : [];
+
+    const packs = [];
+    for (const dir of fs.readdirSync(packsDir).sort()) {
+        const dirPath = path.join(packsDir, dir);
+        if (!fs.statSync(dirPath).isDirectory()) continue;
+
+        if (fs.existsSync(path.join(dirPath, 'pack.json'))) {
+            const json = readPackFile(packsDir, `${dir}/pack.json`);
+            if (json) packs.push({ id: dir, path: `${dir}/pack.json`, ...PackFormat.summarizePack(json) });
+            continue;
+        }
+
+        for (const file of fs.readdirSync(dirPath).filter(name => name.endsWith('.json')).sort()) {
+            const json = readPackFile(packsDir, `${dir}/${file}`);
+            if (!json) continue;
+            if (!PackFormat.isBareCategory(json)) {
+                console.warn(`Skipping packs/${dir}/${file}: not a pack.json or a single category`);
+                continue;
+            }
+            const id = `${dir}-${path.basename(file, '.json')}`;
+            packs.push({ id, path: `${dir}/${file}`, ...PackFormat.summarizePack(json) });
+        }
+    }
+
+    // Known packs first, in their existing order
+    const rank = id => {
+        const index = previousOrder.indexOf(id);
+        return index === -1 ? previousOrder.length : index;
+    };
+    packs.sort((a, b) => rank(a.id) - rank(b.id));
+
+    const index = { packs };
+    fs.writeFileSync(indexPath, JSON.stringify(index, null, 2) + '\n');
+    return index;
+}
+
+/**
+ * Read a JSON file under packsDir, warning and returning null if it can't be parsed
+ */
+function readPackFile(packsDir, file) {
+    try {
+        // Strip a byte order mark - some packs were saved from Windows editors
+        return JSON.parse(fs.readFileSync(path.join(packsDir, file), 'utf8').replace(/^\uFEFF/, ''));
+    } catch (e) {
+        console.warn(`Skipping packs/${file}: ${e.message}`);
+        return null;
+    }
+}
+
+// CLI (skipped when imported by build-pack)
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const packsDir = process.argv[2] || DEFAULT_PACKS_DIR;
+    const index = updatePackIndex(packsDir);
+    console.log(`Wrote ${path.join(packsDir, 'index.json')}: ${index.packs.length} packs`);
+    index.packs.forEach((entry, i) => {
+        console.log(`  Game ${i + 1}: ${entry.title} (${entry.id}, ${entry.categoryCount} categories)`);
+    });
+}
@@ -0,0 +1,347 @@
+/**
+ * Pointless Pack Builder
+ *
+ * Generates game packs from YAML category definitions by:
+ * 1. Running SPARQL queries against Wikidata
+ * 2. Fetching Wikipedia pageviews for scoring
+ * 3. Computing 0-100 "pointless" scores
+ * 4. Fetching images and attribution from Wikimedia Commons
+ * 5. Optionally bundling the images into the pack folder (./images.js)
+ *
+ * The library behind the build-pack CLI (./index.js) - importing it doesn't
+ * start a build.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { updatePackIndex } from './build-index.js';
+import '../js/shared/rules.js';
+import { runSparqlQuery, getArticleTitles, getImageInfo, extractArticleTitle, extractCommonsFilename } from './wikimedia.js';
+import { loadManualValues, runMetric, computeScores, reportSpikes } from './scoring.js';
+import { addAliases } from './aliases.js';
+import { checkQuestionType, applyQuestionType } from './question-types.js';
+import { bundleImages } from './images.js';
+import { isOffline, getFetchFailures } from './http.js';
+import { readOverrides, excludeAndRelabel, dropRarelyViewed, applyOverrides, getPointsOverride, getIncludedAnswers, findStaleOverrides } from './overrides.js';
+
+const Rules = globalThis.PointlessRules;
+
+/**
+ * Process a single category
+ * baseDir is the YAML file's directory, for files the category refers to;
+ * per-answer scoring notes are added to diagnostics under the category id
+ */
+export async function processCategory(category, { baseDir = '.', diagnostics = {} } = {}) {
+    console.log(`\nProcessing category: ${category.prompt}`);
+    const scoring = category.scoring || {};
+    checkQuestionType(category);
+    const overrides = readOverrides(category);
+
+    let answers;
+    if (category.sparql) {
+        answers = await fetchAnswers(category);
+    } else if (scoring.metric === 'manual') {
+        // No query - the manual popularity list is the answer list
+        answers = [...loadManualValues(scoring, baseDir).keys()].map(text => ({ text, aliases: [] }));
+        console.log(`  Using ${answers.length} answers from the manual scores`);
+    } else {
+        throw new Error(`Category "${category.id}" needs a sparql query (or manual scoring with its own answers)`);
+    }
+
+    // Hand corrections from the YAML, then scrambled letters, phrases with a
+    // gap, or only answers with pictures
+    answers = excludeAndRelabel(overrides, answers);
+    answers = applyQuestionType(category, answers);
+
+    if (answers.length === 0) {
+        return { ...category, answers: [] };
+    }
+
+    // Alternative names players might give
+    if (category.aliases?.enabled !== false) {
+        console.log('  Fetching aliases...');
+        await addAliases(answers, category.aliases);
+    }
+
+    // Compute scores
+    console.log(`  Computing scores (${scoring.metric || 'wikipedia_pageviews'})...`);
+    const context = { baseDir, diagnostics: {} };
+    let popularity = await runMetric(answers, scoring, context);
+    if (Object.keys(context.diagnostics).length > 0) {
+        diagnostics[category.id] = context.diagnostics;
+        reportSpikes(context.diagnostics);
+    }
+    ({ answers, popularity } = dropRarelyViewed(overrides, answers, popularity, context.diagnostics, usesPageviews(scoring)));
+    answers.forEach((answer, i) => {
+        answer.popularity = popularity[i];
+    });
+    const pointlessPercentile = scoring.pointless_percentile || 10;
+    let scoredAnswers = computeScores(answers, pointlessPercentile);
+
+    const failed = scoredAnswers.filter(a => a.popularityFailed);
+    if (failed.length > 0) {
+        console.log(`  ${failed.length} answer${failed.length === 1 ? '' : 's'} couldn't be scored and got the median points: ${failed.map(a => a.text).join(', ')}`);
+    }
+
+    // Extra aliases, points set by hand and extra answers
+    applyOverrides(overrides, scoredAnswers);
+    scoredAnswers = [...scoredAnswers, ...applyQuestionType(category, getIncludedAnswers(overrides, scoredAnswers))];
+    const stale = findStaleOverrides(overrides);
+    if (stale.length > 0) {
+        console.log(`  WARNING: ${stale.length} override${stale.length === 1 ? '' : 's'} matched no answer - remove or update:`);
+        stale.forEach(entry => console.log(`    ${entry}`));
+    }
+
+    // Log score distribution
+    const pointlessCount = scoredAnswers.filter(a => a.points === 0).length;
+    const avgScore = scoredAnswers.reduce((s, a) => s + a.points, 0) / scoredAnswers.length;
+    console.log(`  Score distribution: ${pointlessCount} pointless (0), avg score: ${avgScore.toFixed(1)}`);
+
+    // Clean up answer objects for output
+    const cleanAnswers = scoredAnswers.map(a => ({
+        text: a.text,
+        aliases: a.aliases,
+        points: a.points,
+        wikidataId: a.wikidataId,
+        ...(a.image && { image: a.image }),
+        ...(a.scrambled && { scrambled: a.scrambled }),
+        ...(a.display && { display: a.display })
+    }));
+
+    return {
+        id: category.id,
+        prompt: category.prompt,
+        ...(category.type && category.type !== 'standard' && { type: category.type }),
+        answers: cleanAnswers
+    };
+}
+
+/**
+ * Whether the scoring settings fetch pageviews, alone or in a blend
+ */
+function usesPageviews(scoring) {
+    const metrics = scoring.metric === 'blend' ? (scoring.metrics || []) : [scoring];
+    return metrics.some(part => (part.metric || 'wikipedia_pageviews') === 'wikipedia_pageviews');
+}
+
+/**
+ * Run a category's SPARQL query and turn the results into answers
+ * ({ text, wikidataId, articleTitle, aliases, image, values }, where values
+ * are the answer's SPARQL result, for missing_word templates)
+ */
+export async function fetchAnswers(category) {
+    // Run SPARQL query
+    console.log('  Running SPARQL query...');
+    const sparqlResults = await runSparqlQuery(category.sparql);
+    const bindings = sparqlResults.results?.bindings || [];
+    console.log(`  Found ${bindings.length} items`);
+
+    if (bindings.length === 0) {
+        console.log('  WARNING: No results from SPARQL query!');
+        return [];
+    }
+
+    // Build the answer list, then fetch images in parallel through the request queue
+    const answers = [];
+    const imageFiles = [];
+    const seenLabels = new Set();
+
+    for (const binding of bindings) {
+        const label = binding.itemLabel?.value;
+
+        if (!label || seenLabels.has(label.toLowerCase())) continue;
+        seenLabels.add(label.toLowerCase());
+
+        answers.push({
+            text: label,
+            wikidataId: binding.item?.value?.split('/').pop(),
+            articleTitle: extractArticleTitle(binding.article?.value),
+            aliases: [], // Filled in by addAliases once every answer is known
+            values: Object.fromEntries(Object.entries(binding).map(([name, value]) => [name, value.value]))
+        });
+        imageFiles.push(category.images?.enabled !== false && binding.image?.value
+            ? extractCommonsFilename(binding.image.value)
+            : null);
+    }
+
+    let done = 0;
+    await Promise.all(answers.map(async (answer, i) => {
+        const imageInfo = imageFiles[i] ? await getImageInfo(imageFiles[i]) : null;
+        if (imageInfo) {
+            answer.image = imageInfo;
+        }
+        process.stdout.write(`\r  Processing ${++done}/${answers.length}: ${answer.text.padEnd(40).slice(0, 40)}`);
+    }));
+
+    console.log(''); // New line after progress
+    return answers;
+}
+
+/**
+ * With --offline, stop before anything is written if a request missed the
+ * cache - its answers would otherwise get made-up points over a good pack
+ */
+function assertNothingMissing() {
+    const missing = getFetchFailures().length;
+    if (isOffline() && missing > 0) {
+        throw new Error(`${missing} request${missing === 1 ? '' : 's'} missing from the cache (--offline) - nothing was written`);
+    }
+}
+
+/**
+ * Main pack builder function
+ * With bundleImages the images are downloaded into the pack folder, resized
+ * to imageWidth pixels wide (see ./images.js)
+ */
+export async function buildPack(yamlPath, outputDir, { bundleImages: bundle = false, imageWidth } = {}) {
+    console.log(`\n${'='.repeat(60)}`);
+    console.log('POINTLESS PACK BUILDER');
+    console.log('='.repeat(60));
+
+    // Read YAML
+    const yamlContent = fs.readFileSync(yamlPath, 'utf8');
+    const packDef = YAML.parse(yamlContent);
+
+    console.log(`\nPack: ${packDef.title}`);
+    console.log(`Categories: ${packDef.categories.length}`);
+
+    // Process each category
+    const categories = [];
+    const diagnostics = {};
+    for (const categoryDef of packDef.categories) {
+        const processed = await processCategory(categoryDef, { baseDir: path.dirname(yamlPath), diagnostics });
+        categories.push(processed);
+    }
+
+    assertNothingMissing();
+
+    // Build final pack
+    const pack = {
+        title: packDef.title,
+        version: packDef.version || 1,
+        generatedAt: new Date().toISOString(),
+        categories
+    };
+
+    // Ensure output directory exists
+    const packDir = path.join(outputDir, packDef.title.toLowerCase().replace(/[^a-z0-9]+/g, '-'));
+    if (!fs.existsSync(packDir)) {
+        fs.mkdirSync(packDir, { recursive: true });
+    }
+
+    if (bundle) {
+        console.log('\nBundling images...');
+        const { bundled, downloaded, failed } = await bundleImages(pack, packDir, { width: imageWidth });
+        console.log(`  ${bundled} image${bundled === 1 ? '' : 's'} bundled (${downloaded} downloaded)${failed > 0 ? `, ${failed} left remote` : ''}`);
+    }
+    assertNothingMissing();
+
+    // Write pack.json
+    const outputPath = path.join(packDir, 'pack.json');
+    fs.writeFileSync(outputPath, JSON.stringify(pack, null, 2));
+
+    // List it in packs/index.json so the game offers it
+    updatePackIndex(outputDir);
+
+    // Pageview details for reviewing scores - which days were counted as news spikes
+    if (Object.keys(diagnostics).length > 0) {
+        const diagnosticsPath = path.join(packDir, 'pageview-diagnostics.json');
+        fs.writeFileSync(diagnosticsPath, JSON.stringify(diagnostics, null, 2) + '\n');
+        console.log(`Pageview diagnostics saved to: ${diagnosticsPath}`);
+    }
+
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`Pack saved to: ${outputPath}`);
+    console.log(`Total categories: ${categories.length}`);
+    console.log(`Total answers: ${categories.reduce((s, c) => s + c.answers.length, 0)}`);
+    console.log('='.repeat(60));
+
+    return pack;
+}
+
+/**
+ * Recompute the points of an existing pack from fresh popularity data, without
+ * re-running SPARQL. Only points change - hand-edited text, aliases and images
+ * are kept, and answers without a wikidataId (added by hand) keep their points.
+ * Scoring settings come from the category's entry in the YAML, if given.
+ * Prints each changed answer; the pack is only saved with write: true.
+ */
+export async function rescorePack(packPath, { yamlPath = null, write = false } = {}) {
+    const pack = JSON.parse(fs.readFileSync(packPath, 'utf8').replace(/^\uFEFF/, ''));
+    const packDef = yamlPath ? YAML.parse(fs.readFileSync(yamlPath, 'utf8')) : { categories: [] };
+    const definitions = new Map((packDef.categories || []).map(def => [def.id, def]));
+    const baseDir = yamlPath ? path.dirname(yamlPath) : path.dirname(packPath);
+
+    console.log(`\nRescoring: ${pack.title || pack.name || packPath}`);
+
+    let changedCount = 0;
+    let answerCount = 0;
+    for (const category of pack.categories || []) {
+        const scoring = definitions.get(category.id)?.scoring || {};
+        const overrides = readOverrides(definitions.get(category.id) || { id: category.id });
+        const answers = (category.answers || []).filter(answer => answer.wikidataId);
+        const keptCount = (category.answers || []).length - answers.length;
+
+        console.log(`\n${category.id || Rules.getCategoryPrompt(category)}`);
+        if (answers.length === 0) {
+            console.log('  No answers with a wikidataId - points kept');
+            continue;
+        }
+
+        const articles = await getArticleTitles(answers.map(answer => answer.wikidataId));
+        const toScore = answers.map(answer => ({
+            text: Rules.getAnswerText(answer),
+            wikidataId: answer.wikidataId,
+            articleTitle: articles.get(answer.wikidataId)?.article || null
+        }));
+        const popularity = await runMetric(toScore, scoring, { baseDir, diagnostics: {} });
+        const scored = computeScores(toScore.map((answer, i) => ({ ...answer, popularity: popularity[i] })),
+            scoring.pointless_percentile || 10);
+
+        const changes = [];
+        let failedCount = 0;
+        scored.forEach(({ points: computed, popularityFailed }, i) => {
+            const answer = answers[i];
+            // Points set by hand in the YAML stay as they are
+            const override = getPointsOverride(overrides, toScore[i]);
+            if (popularityFailed && override === undefined) {
+                failedCount++;
+                return;
+            }
+            const points = override ?? computed;
+            const before = Rules.getAnswerPoints(answer);
+            if (before !== points) {
+                changes.push({ text: Rules.getAnswerText(answer), before, after: points });
+                answer.points = points;
+                delete answer.score;
+            }
+        });
+
+        changes.sort((a, b) => Math.abs(b.after - b.before) - Math.abs(a.after - a.before));
+        for (const { text, before, after } of changes) {
+            const delta = after - before;
+            const note = after === 0 ? '  now pointless' : before === 0 ? '  no longer pointless' : '';
+            console.log(`  ${text.padEnd(40).slice(0, 40)} ${String(before).padStart(3)} -> ${String(after).padStart(3)}  (${delta > 0 ? '+' : ''}${delta})${note}`);
+        }
+        const unchanged = answers.length - changes.length - failedCount;
+        console.log(`  ${changes.length} changed, ${unchanged} unchanged` +
+            (failedCount ? `, ${failedCount} couldn't be fetched (kept)` : '') +
+            (keptCount ? `, ${keptCount} without a wikidataId kept` : ''));
+
+        changedCount += changes.length;
+        answerCount += answers.length;
+    }
+
+    console.log(`\n${changedCount} of ${answerCount} answers changed`);
+    if (write) assertNothingMissing();
+    if (write && changedCount > 0) {
+        if (pack.generatedAt) pack.generatedAt = new Date().toISOString();
+        fs.writeFileSync(packPath, JSON.stringify(pack, null, 2));
+        console.log(`Pack saved to: ${packPath}`);
+    } else if (changedCount > 0) {
+        console.log('Run again with --write to save the new points');
+    }
+
+    return pack;
+}
@@ -0,0 +1,161 @@
+/**
+ * Pointless Pack Builder Cache
+ *
+ * Keeps Wikidata, Wikipedia and Commons responses in pack-builder/.cache so
+ * rebuilding a pack doesn't fetch everything again. Each entry is stored at
+ * .cache/<type>/<sha256 of its key>.json as { key, timestamp, data }, so keys
+ * that share a prefix can't collide and the original key can still be read
+ * back by `build-pack cache list`.
+ *
+ * Entries expire after their type's TTL (see DEFAULT_TTL_DAYS, overridden with
+ * configureCache). With ignoreExpiry - used by --offline - expired entries are
+ * still returned.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const CACHE_DIR = path.join(__dirname, '.cache');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long each type of entry stays fresh, in days
+export const DEFAULT_TTL_DAYS = {
+    sparql: 7,            // Category queries
+    aliases: 7,           // Wikidata alternative labels
+    sitelinks: 7,         // Wikidata sitelink counts
+    articles: 7,          // English Wikipedia article per item
+    pageviews_daily: 7,   // Daily pageviews per article
+    imageinfo: 30,        // Commons image URLs and attribution - rarely change
+    default: 7
+};
+
+let cacheDir = CACHE_DIR;
+let ttlDays = { ...DEFAULT_TTL_DAYS };
+let ignoreExpiry = false;
+
+/**
+ * Set per-type TTLs in days (merged over the defaults; `default` covers types
+ * not listed), whether expired entries are still used, and where the cache
+ * lives (tests use a temporary directory)
+ */
+export function configureCache({ ttl = {}, ignoreExpiry: ignore = false, dir = CACHE_DIR } = {}) {
+    ttlDays = { ...DEFAULT_TTL_DAYS, ...ttl };
+    ignoreExpiry = ignore;
+    cacheDir = dir;
+}
+
+function ttlMs(type) {
+    return (ttlDays[type] ?? ttlDays.default) * DAY_MS;
+}
+
+function getCachePath(type, key) {
+    const hash = crypto.createHash('sha256').update(String(key)).digest('hex');
+    return path.join(cacheDir, type, `${hash}.json`);
+}
+
+/**
+ * The cached data for a key, or undefined if there's no fresh entry (null is
+ * a valid cached value, e.g. an image Commons doesn't have)
+ */
+export function getFromCache(type, key) {
+    const cacheFile = getCachePath(type, key);
+    if (!fs.existsSync(cacheFile)) return undefined;
+
+    try {
+        const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+        if (cached.key !== String(key)) return undefined;
+        if (!ignoreExpiry && Date.now() - cached.timestamp >= ttlMs(type)) return undefined;
+        return cached.data;
+    } catch (e) {
+        // A half-written entry from an interrupted build - fetch it again
+        return undefined;
+    }
+}
+
+export function saveToCache(type, key, data) {
+    const cacheFile = getCachePath(type, key);
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, JSON.stringify({ key: String(key), timestamp: Date.now(), data }));
+}
+
+/**
+ * Every cache entry, optionally of one type:
+ * [{ type, key, file, size, timestamp, expired }]. Unreadable entries and files
+ * from the old flat .cache layout are listed with type null, so prune removes them.
+ */
+export function listCacheEntries(type = null) {
+    if (!fs.existsSync(cacheDir)) return [];
+
+    const entries = [];
+    for (const name of fs.readdirSync(cacheDir).sort()) {
+        const dir = path.join(cacheDir, name);
+        if (!fs.statSync(dir).isDirectory()) {
+            if (!type) entries.push({ type: null, key: name, file: dir, size: fs.statSync(dir).size, timestamp: null, expired: true });
+            continue;
+        }
+        if (type && name !== type) continue;
+
+        for (const file of fs.readdirSync(dir).sort()) {
+            const cacheFile = path.join(dir, file);
+            const size = fs.statSync(cacheFile).size;
+            try {
+                const { key, timestamp } = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+                entries.push({ type: name, key, file: cacheFile, size, timestamp, expired: Date.now() - timestamp >= ttlMs(name) });
+            } catch (e) {
+                entries.push({ type: null, key: path.join(name, file), file: cacheFile, size, timestamp: null, expired: true });
+            }
+        }
+    }
+    return entries;
+}
+
+/**
+ * Entry count, total size, expired count and oldest/newest timestamps per type
+ */
+export function getCacheStats() {
+    const stats = new Map();
+    for (const entry of listCacheEntries()) {
+        const type = entry.type || '(stale files)';
+        if (!stats.has(type)) {
+            stats.set(type, { type, entries: 0, size: 0, expired: 0, oldest: null, newest: null, ttlDays: entry.type ? ttlMs(type) / DAY_MS : null });
+        }
+        const stat = stats.get(type);
+        stat.entries++;
+        stat.size += entry.size;
+        if (entry.expired) stat.expired++;
+        if (entry.timestamp) {
+            stat.oldest = stat.oldest === null ? entry.timestamp : Math.min(stat.oldest, entry.timestamp);
+            stat.newest = stat.newest === null ? entry.timestamp : Math.max(stat.newest, entry.timestamp);
+        }
+    }
+    return [...stats.values()];
+}
+
+/**
+ * Delete expired and unreadable entries. Returns { removed, size }
+ */
+export function pruneCache() {
+    return removeEntries(listCacheEntries().filter(entry => entry.expired));
+}
+
+/**
+ * Delete every entry, or every entry of one type. Returns { removed, size }
+ */
+export function clearCache(type = null) {
+    const result = removeEntries(listCacheEntries(type));
+    if (!type && fs.existsSync(cacheDir)) {
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+    return result;
+}
+
+function removeEntries(entries) {
+    for (const entry of entries) {
+        fs.rmSync(entry.file, { force: true });
+    }
+    return { removed: entries.length, size: entries.reduce((sum, entry) => sum + entry.size, 0) };
+}
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * Answer Matching Check
+ *
+ * Runs the game's own matcher (js/shared/rules.js, used by game.js, server.js and
+ * party/server.ts) over every bundled pack - packs/<pack>/pack.json and
+ * js/embedded-packs.js - and reports:
+ * 1. Collisions: the same text (after normalizeAnswer) on two different answers
+ * 2. Lookalikes: answers that differ only in accents, punctuation or spacing
+ * 3. Unreachable answers: an answer or alias that doesn't match its own answer
+ *
+ * Known problems are listed in matching-baseline.json; anything new fails the
+ * check, so a new pack can't add ambiguity unnoticed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+import '../js/shared/rules.js';
+
+const Rules = globalThis.PointlessRules;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.join(__dirname, '..');
+const BASELINE_PATH = path.join(__dirname, 'matching-baseline.json');
+
+/**
+ * Load every bundled pack as { source, pack }
+ */
+function loadPacks() {
+    const packs = [];
+
+    const packsDir = path.join(ROOT_DIR, 'packs');
+    for (const dir of fs.readdirSync(packsDir).sort()) {
+        const packPath = path.join(packsDir, dir, 'pack.json');
+        if (!fs.existsSync(packPath)) continue;
+        // Strip a byte order mark - some packs were saved from Windows editors
+        const json = fs.readFileSync(packPath, 'utf8').replace(/^\uFEFF/, '');
+        packs.push({ source: `packs/${dir}/pack.json`, pack: JSON.parse(json) });
+    }
+
+    // embedded-packs.js is a classic script declaring a global const
+    const embeddedCode = fs.readFileSync(path.join(ROOT_DIR, 'js', 'embedded-packs.js'), 'utf8');
+    const embedded = vm.runInNewContext(`${embeddedCode}\nEMBEDDED_PACKS;`);
+    for (const [id, pack] of Object.entries(embedded)) {
+        packs.push({ source: `js/embedded-packs.js#${id}`, pack });
+    }
+
+    return packs;
+}
+
+/**
+ * Find the matching problems in one category
+ */
+function checkCategory(category) {
+    const problems = [];
+    const answers = category.answers || [];
+
+    // Every normalized form (text or alias) and the answers it belongs to, with the text it came from
+    const forms = new Map();
+    answers.forEach((answer, index) => {
+        const texts = [Rules.getAnswerText(answer), ...(answer.aliases || [])];
+        for (const text of texts) {
+            const normalized = Rules.normalizeAnswer(text);
+            if (!forms.has(normalized)) forms.set(normalized, new Map());
+            const owners = forms.get(normalized);
+            if (!owners.has(index)) owners.set(index, text);
+        }
+    });
+
+    for (const [normalized, owners] of forms) {
+        if (owners.size < 2) continue;
+        const names = [...owners.keys()].map(index => `"${Rules.getAnswerText(answers[index])}"`).join(' / ');
+
+        if ([...owners].every(([index, text]) => text === Rules.getAnswerText(answers[index]))) {
+            // The answers themselves clash, not just an alias
+            const kind = new Set(owners.values()).size === 1 ? 'duplicate' : 'lookalike';
+            problems.push(`${kind}: ${names}`);
+        } else {
+            problems.push(`collision: "${normalized}" matches ${names}`);
+        }
+    }
+
+    // Answer texts that only differ in spacing or punctuation placement (e.g. Spider-Man / Spiderman)
+    const squashed = new Map();
+    answers.forEach(answer => {
+        const text = Rules.getAnswerText(answer);
+        const key = Rules.normalizeAnswer(text).replace(/ /g, '');
+        if (!key) return;
+        if (!squashed.has(key)) squashed.set(key, new Set());
+        squashed.get(key).add(text);
+    });
+    for (const texts of squashed.values()) {
+        const distinct = new Set([...texts].map(text => Rules.normalizeAnswer(text)));
+        if (distinct.size > 1) {
+            problems.push(`lookalike: ${[...texts].map(text => `"${text}"`).join(' / ')}`);
+        }
+    }
+
+    // Each text and alias should score as its own answer (collisions are reported above)
+    answers.forEach((answer, index) => {
+        const texts = [Rules.getAnswerText(answer), ...(answer.aliases || [])];
+        for (const text of texts) {
+            const owners = forms.get(Rules.normalizeAnswer(text));
+            if (owners.size > 1) continue;
+            if (Rules.findAnswerIndex(category, text, 'exact') !== index) {
+                problems.push(`unreachable: "${text}" does not match "${Rules.getAnswerText(answer)}"`);
+            }
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Check every pack, returning problem keys like "<source> > <category>: <problem>"
+ */
+function checkPacks(packs) {
+    const problems = [];
+    for (const { source, pack } of packs) {
+        for (const category of pack.categories || []) {
+            const name = category.id || category.name || Rules.getCategoryPrompt(category);
+            for (const problem of checkCategory(category)) {
+                problems.push(`${source} > ${name}: ${problem}`);
+            }
+        }
+    }
+    return problems;
+}
+
+function loadBaseline() {
+    if (!fs.existsSync(BASELINE_PATH)) return [];
+    return JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8')).known;
+}
+
+// CLI
+const args = process.argv.slice(2);
+const packs = loadPacks();
+const problems = checkPacks(packs);
+const categoryCount = packs.reduce((sum, { pack }) => sum + (pack.categories || []).length, 0);
+
+if (args.includes('--update-baseline')) {
+    const baseline = {
+        note: 'Known matching problems in the bundled packs. Fix them and rerun with --update-baseline to shrink this list.',
+        known: problems
+    };
+    fs.writeFileSync(BASELINE_PATH, JSON.stringify(baseline, null, 2) + '\n');
+    console.log(`Baseline updated: ${problems.length} known problems`);
+    process.exit(0);
+}
+
+const known = new Set(loadBaseline());
+const newProblems = problems.filter(problem => !known.has(problem));
+const fixed = [...known].filter(problem => !problems.includes(problem));
+
+console.log(`Checked ${categoryCount} categories in ${packs.length} packs`);
+if (args.includes('--verbose')) {
+    problems.filter(problem => known.has(problem)).forEach(problem => console.log(`  known: ${problem}`));
+}
+console.log(`${problems.length - newProblems.length} known problems (see pack-builder/matching-baseline.json)`);
+
+if (fixed.length > 0) {
+    console.log(`\n${fixed.length} baseline entries no longer occur - run with --update-baseline to drop them:`);
+    fixed.forEach(problem => console.log(`  ${problem}`));
+}
+
+if (newProblems.length > 0) {
+    console.error(`\n${newProblems.length} new matching problems:`);
+    newProblems.forEach(problem => console.error(`  ${problem}`));
+    process.exit(1);
+}
+
+console.log('No new matching problems');
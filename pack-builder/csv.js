@@ -0,0 +1,105 @@
+/**
+ * Pointless Pack Builder CSV
+ *
+ * The `build-pack csv` subcommand: exports a pack as a spreadsheet (CSV, or
+ * TSV for a .tsv file) with one row per answer, and imports one back. The
+ * conversion itself is in js/shared/pack-csv.js, shared with pack-builder.html.
+ *
+ * Importing over an existing pack.json keeps what the spreadsheet has no
+ * column for (wikidataIds, image credits, translations) from the old pack.
+ * Nothing is written if any row has a problem. Categories with no answers
+ * yet are written with a warning, so they survive a round trip.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import '../js/shared/rules.js';
+import '../js/shared/pack-format.js';
+import '../js/shared/pack-csv.js';
+
+const PackFormat = globalThis.PointlessPackFormat;
+const PackCsv = globalThis.PointlessPackCsv;
+
+function delimiterFor(filePath) {
+    return path.extname(filePath).toLowerCase() === '.tsv' ? '\t' : ',';
+}
+
+function readJson(filePath) {
+    // Strip a byte order mark - some packs were saved from Windows editors
+    return JSON.parse(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+}
+
+/**
+ * Write a pack as CSV/TSV to outPath, or to stdout without one
+ */
+export function exportCsv(packPath, outPath = null) {
+    const rows = PackCsv.packToRows(readJson(packPath));
+    const text = PackCsv.formatDelimited(rows, outPath ? delimiterFor(outPath) : ',');
+    if (!outPath) {
+        process.stdout.write(text);
+        return rows.length - 1;
+    }
+    fs.writeFileSync(outPath, text);
+    console.log(`Exported ${rows.length - 1} rows to ${outPath}`);
+    return rows.length - 1;
+}
+
+/**
+ * Parse --map=<column>:<heading> flags into overrides of the guessed mapping
+ */
+export function parseMapFlags(flags, header) {
+    const mapping = PackCsv.guessMapping(header);
+    for (const flag of flags.filter(f => f.startsWith('--map='))) {
+        const [column, ...rest] = flag.slice('--map='.length).split(':');
+        const heading = rest.join(':');
+        if (!PackCsv.COLUMNS.includes(column) || !heading) {
+            throw new Error(`Bad ${flag} - expected --map=<column>:<heading>, where column is one of ${PackCsv.COLUMNS.join(', ')}`);
+        }
+        const index = header.findIndex(cell => cell.trim() === heading);
+        if (index === -1) {
+            throw new Error(`${flag}: no "${heading}" heading in the file (it has ${header.map(cell => `"${cell}"`).join(', ')})`);
+        }
+        mapping[column] = index;
+    }
+    return mapping;
+}
+
+/**
+ * Build packPath from a CSV/TSV file. Returns the problems found - the pack
+ * is only written when there are none.
+ */
+export function importCsv(csvPath, packPath, { title = null, flags = [] } = {}) {
+    const rows = PackCsv.parseDelimited(fs.readFileSync(csvPath, 'utf8'));
+    const mapping = parseMapFlags(flags, rows[0] || []);
+    const base = fs.existsSync(packPath) ? PackFormat.migratePack(readJson(packPath)) : null;
+    const defaultTitle = path.basename(csvPath, path.extname(csvPath)).replace(/[-_]+/g, ' ');
+
+    const { pack, errors, answerCount } = PackCsv.rowsToPack(rows, { mapping, title: title || defaultTitle, base });
+    if (pack && title) pack.title = title;
+
+    const problems = errors.map(({ row, column, message }) =>
+        `${row === null ? csvPath : `Row ${row}`}${column ? ` (${PackCsv.COLUMN_LABELS[column]})` : ''}: ${message}`);
+    // A category declared without answers is a gap still to fill, not a problem
+    // with the spreadsheet - it's kept, and listed once the pack is written
+    const emptyIds = pack ? pack.categories.filter(category => category.answers.length === 0).map(category => category.id) : [];
+    if (pack && problems.length === 0) {
+        problems.push(...PackFormat.validatePack(pack)
+            .filter(({ message }) => message !== 'category has no answers')
+            .map(({ path: where, message }) => `${where || 'pack'}: ${message}`));
+    }
+
+    if (problems.length > 0) {
+        console.error(`${csvPath}: ${problems.length} problem${problems.length === 1 ? '' : 's'} - nothing written`);
+        for (const problem of problems) console.error(`  ${problem}`);
+        return problems;
+    }
+
+    fs.mkdirSync(path.dirname(packPath), { recursive: true });
+    const { categories, ...info } = pack;
+    fs.writeFileSync(packPath, JSON.stringify({ ...info, generatedAt: new Date().toISOString(), categories }, null, 2) + '\n');
+    console.log(`${base ? 'Updated' : 'Wrote'} ${packPath}: ${pack.categories.length} categories, ${answerCount} answers`);
+    if (emptyIds.length > 0) {
+        console.log(`  WARNING: no answers yet in ${emptyIds.join(', ')} - the game won't load the pack until every category has some`);
+    }
+    return problems;
+}
@@ -0,0 +1,164 @@
+/**
+ * Pointless Pack Builder HTTP
+ *
+ * Every request the builder makes goes through rateLimitedFetch: a queue that
+ * runs a few requests at a time, retries rate limits and server errors, and
+ * collects the requests that still failed for the summary at the end of a
+ * build. configureHttp swaps in another fetch (tests replay recorded fixtures)
+ * or turns on offline mode.
+ */
+
+// Request queue - a few requests at a time, started at least RATE_LIMIT_MS apart
+const RATE_LIMIT_MS = 100;
+const MAX_CONCURRENT_REQUESTS = 4;
+let lastRequestTime = 0;
+let activeRequests = 0;
+const waitingRequests = [];
+
+// Retries for rate limiting (429), server errors (5xx) and network errors
+const MAX_RETRIES = 5;
+const RETRY_BASE_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+// Requests that still failed after retrying, for the summary at the end of a build
+const fetchFailures = [];
+
+// With --offline everything comes from the cache, and a miss is a failure
+let offline = false;
+
+// Set by configureHttp
+let httpFetch = globalThis.fetch;
+let rateLimitMs = RATE_LIMIT_MS;
+let maxRetries = MAX_RETRIES;
+
+/**
+ * Set the fetch function used for every request, offline mode (requests fail
+ * without being sent), and the rate limit and retry count - anything left out
+ * goes back to its default
+ */
+export function configureHttp({ fetch = globalThis.fetch, offline: offlineMode = false, rateLimitMs: limit = RATE_LIMIT_MS, maxRetries: retries = MAX_RETRIES } = {}) {
+    httpFetch = fetch;
+    offline = offlineMode;
+    rateLimitMs = limit;
+    maxRetries = retries;
+}
+
+export function isOffline() {
+    return offline;
+}
+
+/**
+ * Fetch through the request queue, retrying 429s, 5xx errors and network
+ * errors with exponential backoff (or the server's Retry-After). Returns the
+ * final response - which may still be an error status - or throws if the
+ * network never answered.
+ */
+export async function rateLimitedFetch(url, options = {}) {
+    if (offline) {
+        throw new Error('not in the cache (--offline)');
+    }
+
+    await acquireRequestSlot();
+    try {
+        for (let attempt = 0; ; attempt++) {
+            await waitForRateLimit();
+
+            let response;
+            try {
+                response = await httpFetch(url, {
+                    ...options,
+                    headers: {
+                        'User-Agent': 'PointlessGamePackBuilder/1.0 (Family Quiz Night; contact@example.com)',
+                        ...options.headers
+                    }
+                });
+            } catch (e) {
+                if (attempt >= maxRetries) throw e;
+                await sleep(retryDelay(attempt));
+                continue;
+            }
+
+            const retryable = response.status === 429 || response.status >= 500;
+            if (!retryable || attempt >= maxRetries) {
+                return response;
+            }
+            await sleep(retryDelay(attempt, response.headers.get('Retry-After')));
+        }
+    } finally {
+        releaseRequestSlot();
+    }
+}
+
+async function acquireRequestSlot() {
+    if (activeRequests < MAX_CONCURRENT_REQUESTS) {
+        activeRequests++;
+        return;
+    }
+    // releaseRequestSlot hands its slot straight over
+    await new Promise(resolve => waitingRequests.push(resolve));
+}
+
+function releaseRequestSlot() {
+    const next = waitingRequests.shift();
+    if (next) {
+        next();
+    } else {
+        activeRequests--;
+    }
+}
+
+async function waitForRateLimit() {
+    const wait = lastRequestTime + rateLimitMs - Date.now();
+    lastRequestTime = Math.max(Date.now(), lastRequestTime + rateLimitMs);
+    if (wait > 0) {
+        await sleep(wait);
+    }
+}
+
+/**
+ * How long to wait before retry number attempt + 1: the server's Retry-After
+ * (seconds or an HTTP date) if it sent one, otherwise 1s, 2s, 4s... with jitter
+ */
+function retryDelay(attempt, retryAfter = null) {
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+        if (delay >= 0) return Math.min(delay, MAX_RETRY_DELAY_MS);
+    }
+    const backoff = RETRY_BASE_MS * 2 ** attempt;
+    return Math.min(backoff + Math.random() * backoff / 2, MAX_RETRY_DELAY_MS);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Note a request that failed for good, to list at the end of the build
+ */
+export function recordFailure(kind, subject, reason) {
+    fetchFailures.push({ kind, subject, reason });
+}
+
+/**
+ * Print the requests that failed during the build. Returns how many there were
+ */
+export function reportFetchFailures() {
+    if (fetchFailures.length === 0) return 0;
+
+    const count = `${fetchFailures.length} request${fetchFailures.length === 1 ? '' : 's'}`;
+    console.log(offline
+        ? `\n${count} missing from the cache - build once without --offline to fill it:`
+        : `\n${count} failed after retrying - nothing was cached for them, so run the build again to fill them in:`);
+    for (const { kind, subject, reason } of fetchFailures) {
+        console.log(`  ${kind}: ${subject} (${reason})`);
+    }
+    return fetchFailures.length;
+}
+
+/**
+ * The requests that have failed so far: [{ kind, subject, reason }]
+ */
+export function getFetchFailures() {
+    return [...fetchFailures];
+}
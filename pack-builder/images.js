@@ -0,0 +1,133 @@
+/**
+ * Pointless Pack Builder Image Bundling
+ *
+ * With --bundle-images, every answer image is downloaded into the pack's
+ * images/ folder so the pack plays without a connection. Commons does the
+ * resizing: the thumbnail URL is asked for at BUNDLE_WIDTH instead of the
+ * 800px the image info gives. The answer's image.url becomes the path
+ * relative to pack.json, and the Commons thumbnail is kept as image.remoteUrl
+ * for the game to fall back to. Attribution (author, license, source) is left
+ * as it is.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { rateLimitedFetch, recordFailure } from './http.js';
+
+export const BUNDLE_WIDTH = 500;
+export const IMAGES_DIR = 'images';
+
+/**
+ * The URL of a Commons thumbnail at the given width. Only ever scales down -
+ * Commons won't make a thumbnail bigger than the original - and URLs that
+ * aren't thumbnails are returned as they are.
+ */
+export function resizedThumbUrl(url, width) {
+    const match = url.match(/^(.*\/thumb\/.*\/)(\d+)px-([^/]+)$/);
+    if (!match || Number(match[2]) <= width) return url;
+    return `${match[1]}${width}px-${match[3]}`;
+}
+
+/**
+ * The file name an image is bundled as: its Commons name made safe, plus a
+ * short hash of the source and width so names can't collide and a resized
+ * image isn't mistaken for the old one
+ */
+export function bundledFileName(image, width) {
+    const remote = image.remoteUrl || image.url;
+    const baseName = decodeURIComponent(remote.split('/').pop()).replace(/^\d+px-/, '');
+    const ext = (baseName.match(/\.(png|jpe?g|gif|webp)$/i)?.[1] || 'jpg').toLowerCase();
+    const stem = baseName
+        .replace(/\.[^.]+$/, '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '')
+        .slice(0, 60) || 'image';
+    const hash = crypto.createHash('sha256').update(`${image.source || remote} ${width}`).digest('hex').slice(0, 8);
+    return `${stem}-${hash}.${ext}`;
+}
+
+/**
+ * Download one image, trying the resized thumbnail and then the URL as given.
+ * Returns the bytes, or null (with the failure recorded) if neither worked.
+ */
+async function downloadImage(url, width) {
+    const candidates = [...new Set([resizedThumbUrl(url, width), url])];
+    let reason = null;
+    for (const candidate of candidates) {
+        try {
+            const response = await rateLimitedFetch(candidate);
+            const contentType = response.headers.get('Content-Type') || '';
+            if (!response.ok) {
+                reason = `HTTP ${response.status}`;
+            } else if (!contentType.startsWith('image/')) {
+                reason = `not an image (${contentType || 'no Content-Type'})`;
+            } else {
+                return Buffer.from(await response.arrayBuffer());
+            }
+        } catch (e) {
+            reason = e.message;
+        }
+    }
+    recordFailure('bundled image', url, reason);
+    return null;
+}
+
+/**
+ * Bundle the pack's images into <packDir>/images, rewriting each image.url to
+ * the local copy. Images already bundled at this width aren't downloaded
+ * again, and files no answer uses any more are removed. Images that couldn't
+ * be downloaded keep their remote URL. Returns { bundled, downloaded, failed }.
+ */
+export async function bundleImages(pack, packDir, { width = BUNDLE_WIDTH } = {}) {
+    const imagesDir = path.join(packDir, IMAGES_DIR);
+    fs.mkdirSync(imagesDir, { recursive: true });
+
+    const images = pack.categories
+        .flatMap(category => category.answers)
+        .map(answer => answer.image)
+        .filter(image => image?.url);
+
+    // Answers can share an image, so each file is only fetched once
+    const files = new Map();
+    for (const image of images) {
+        const remoteUrl = image.remoteUrl || image.url;
+        if (!/^https?:/.test(remoteUrl)) continue;
+        const fileName = bundledFileName(image, width);
+        if (!files.has(fileName)) files.set(fileName, { remoteUrl, images: [] });
+        files.get(fileName).images.push(image);
+    }
+
+    let downloaded = 0;
+    let failed = 0;
+    await Promise.all([...files].map(async ([fileName, { remoteUrl, images: sharing }]) => {
+        const filePath = path.join(imagesDir, fileName);
+        if (!fs.existsSync(filePath)) {
+            const bytes = await downloadImage(remoteUrl, width);
+            if (!bytes) {
+                failed++;
+                for (const image of sharing) {
+                    image.url = remoteUrl;
+                    delete image.remoteUrl;
+                }
+                files.delete(fileName);
+                return;
+            }
+            fs.writeFileSync(filePath, bytes);
+            downloaded++;
+        }
+        for (const image of sharing) {
+            image.url = `${IMAGES_DIR}/${fileName}`;
+            image.remoteUrl = remoteUrl;
+        }
+    }));
+
+    for (const fileName of fs.readdirSync(imagesDir)) {
+        if (!files.has(fileName)) fs.rmSync(path.join(imagesDir, fileName), { force: true });
+    }
+
+    return { bundled: files.size, downloaded, failed };
+}
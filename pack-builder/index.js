@@ -1,397 +1,178 @@
 #!/usr/bin/env node
 /**
- * Pointless Pack Builder
+ * Pointless Pack Builder CLI
  *
- * Generates game packs from YAML category definitions by:
- * 1. Running SPARQL queries against Wikidata
- * 2. Fetching Wikipedia pageviews for scoring
- * 3. Computing 0-100 "pointless" scores
- * 4. Fetching images and attribution from Wikimedia Commons
+ * Builds a pack from a YAML category definition file, rescores a built pack,
+ * converts packs to and from spreadsheets, or inspects the response cache.
+ * The building itself is in ./builder.js.
  */
 
-import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import YAML from 'yaml';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const CACHE_DIR = path.join(__dirname, '.cache');
-
-// Rate limiting
-const RATE_LIMIT_MS = 100;
-let lastRequestTime = 0;
-
-async function rateLimitedFetch(url, options = {}) {
-    const now = Date.now();
-    const timeSinceLastRequest = now - lastRequestTime;
-    if (timeSinceLastRequest < RATE_LIMIT_MS) {
-        await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_MS - timeSinceLastRequest));
-    }
-    lastRequestTime = Date.now();
-
-    const response = await fetch(url, {
-        ...options,
-        headers: {
-            'User-Agent': 'PointlessGamePackBuilder/1.0 (Family Quiz Night; contact@example.com)',
-            ...options.headers
-        }
-    });
-    return response;
-}
-
-// Cache helpers
-function ensureCacheDir() {
-    if (!fs.existsSync(CACHE_DIR)) {
-        fs.mkdirSync(CACHE_DIR, { recursive: true });
-    }
-}
-
-function getCacheKey(type, id) {
-    return path.join(CACHE_DIR, `${type}_${id.replace(/[^a-zA-Z0-9]/g, '_')}.json`);
-}
-
-function getFromCache(type, id) {
-    const cacheFile = getCacheKey(type, id);
-    if (fs.existsSync(cacheFile)) {
-        const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
-        // Cache valid for 7 days
-        if (Date.now() - cached.timestamp < 7 * 24 * 60 * 60 * 1000) {
-            return cached.data;
-        }
-    }
-    return null;
-}
-
-function saveToCache(type, id, data) {
-    ensureCacheDir();
-    const cacheFile = getCacheKey(type, id);
-    fs.writeFileSync(cacheFile, JSON.stringify({ timestamp: Date.now(), data }));
-}
+import { buildPack, rescorePack } from './builder.js';
+import { configureHttp, reportFetchFailures } from './http.js';
+import { BUNDLE_WIDTH } from './images.js';
+import { exportCsv, importCsv } from './csv.js';
+import { DEFAULT_TTL_DAYS, configureCache, listCacheEntries, getCacheStats, pruneCache, clearCache } from './cache.js';
 
 /**
- * Run a SPARQL query against Wikidata
+ * Parse --ttl=<type>:<days> flags into { type: days }
  */
-async function runSparqlQuery(sparql) {
-    const cacheKey = Buffer.from(sparql).toString('base64').slice(0, 50);
-    const cached = getFromCache('sparql', cacheKey);
-    if (cached) {
-        console.log('  Using cached SPARQL results');
-        return cached;
-    }
-
-    const url = 'https://query.wikidata.org/sparql';
-    const response = await rateLimitedFetch(url, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-            'Accept': 'application/sparql-results+json'
-        },
-        body: `query=${encodeURIComponent(sparql)}`
-    });
-
-    if (!response.ok) {
-        throw new Error(`SPARQL query failed: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    saveToCache('sparql', cacheKey, data);
-    return data;
-}
-
-/**
- * Fetch Wikipedia pageviews for an article
- */
-async function getPageviews(articleTitle, days = 365) {
-    const cached = getFromCache('pageviews', `${articleTitle}_${days}`);
-    if (cached !== null) {
-        return cached;
-    }
-
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
-
-    const formatDate = (d) => d.toISOString().split('T')[0].replace(/-/g, '');
-
-    const url = `https://wikimedia.org/api/rest_v1/metrics/pageviews/per-article/en.wikipedia/all-access/all-agents/${encodeURIComponent(articleTitle)}/daily/${formatDate(startDate)}/${formatDate(endDate)}`;
-
-    try {
-        const response = await rateLimitedFetch(url);
-        if (!response.ok) {
-            saveToCache('pageviews', `${articleTitle}_${days}`, 0);
-            return 0;
+function parseTtlFlags(flags) {
+    const ttl = {};
+    for (const flag of flags.filter(f => f.startsWith('--ttl='))) {
+        const [type, days] = flag.slice('--ttl='.length).split(':');
+        if (!type || days === undefined || !(Number(days) >= 0)) {
+            throw new Error(`Bad ${flag} - expected --ttl=<type>:<days>, e.g. --ttl=pageviews_daily:1`);
         }
-        const data = await response.json();
-        const totalViews = data.items?.reduce((sum, item) => sum + item.views, 0) || 0;
-        saveToCache('pageviews', `${articleTitle}_${days}`, totalViews);
-        return totalViews;
-    } catch (e) {
-        saveToCache('pageviews', `${articleTitle}_${days}`, 0);
-        return 0;
+        ttl[type] = Number(days);
     }
+    return ttl;
 }
 
 /**
- * Get image info and attribution from Wikimedia Commons
+ * Parse --bundle-images[=<width>] into buildPack's options
  */
-async function getImageInfo(commonsFilename) {
-    if (!commonsFilename) return null;
-
-    // Extract filename from URL if needed
-    let filename = commonsFilename;
-    if (filename.includes('commons.wikimedia.org')) {
-        filename = decodeURIComponent(filename.split('/').pop());
-    }
-    if (filename.startsWith('File:')) {
-        filename = filename.substring(5);
-    }
+function parseBundleFlag(flags) {
+    const flag = flags.find(f => f === '--bundle-images' || f.startsWith('--bundle-images='));
+    if (!flag) return { bundleImages: false };
+    if (flag === '--bundle-images') return { bundleImages: true };
 
-    const cached = getFromCache('imageinfo', filename);
-    if (cached) {
-        return cached;
-    }
-
-    const url = `https://commons.wikimedia.org/w/api.php?action=query&titles=File:${encodeURIComponent(filename)}&prop=imageinfo&iiprop=url|extmetadata&iiurlwidth=800&format=json`;
-
-    try {
-        const response = await rateLimitedFetch(url);
-        const data = await response.json();
-        const pages = data.query?.pages;
-        const page = pages ? Object.values(pages)[0] : null;
-        const imageinfo = page?.imageinfo?.[0];
-
-        if (!imageinfo) {
-            saveToCache('imageinfo', filename, null);
-            return null;
-        }
-
-        const meta = imageinfo.extmetadata || {};
-        const result = {
-            url: imageinfo.thumburl || imageinfo.url,
-            fullUrl: imageinfo.url,
-            author: meta.Artist?.value?.replace(/<[^>]*>/g, '') || 'Unknown',
-            license: meta.LicenseShortName?.value || 'Unknown license',
-            licenseUrl: meta.LicenseUrl?.value || null,
-            description: meta.ImageDescription?.value?.replace(/<[^>]*>/g, '') || '',
-            source: `https://commons.wikimedia.org/wiki/File:${encodeURIComponent(filename)}`
-        };
-
-        saveToCache('imageinfo', filename, result);
-        return result;
-    } catch (e) {
-        console.error(`  Failed to get image info for ${filename}:`, e.message);
-        saveToCache('imageinfo', filename, null);
-        return null;
+    const width = Number(flag.slice('--bundle-images='.length));
+    if (!Number.isInteger(width) || width <= 0) {
+        throw new Error(`Bad ${flag} - expected --bundle-images=<width in pixels>, e.g. --bundle-images=330`);
     }
+    return { bundleImages: true, imageWidth: width };
 }
 
-/**
- * Extract Wikipedia article title from SPARQL result
- */
-function extractArticleTitle(articleUrl) {
-    if (!articleUrl) return null;
-    const match = articleUrl.match(/wikipedia\.org\/wiki\/(.+)$/);
-    return match ? decodeURIComponent(match[1].replace(/_/g, ' ')) : null;
-}
-
-/**
- * Extract Commons filename from Wikidata image URL
- */
-function extractCommonsFilename(imageUrl) {
-    if (!imageUrl) return null;
-    if (imageUrl.includes('commons.wikimedia.org')) {
-        return decodeURIComponent(imageUrl.split('/').pop());
-    }
-    return imageUrl;
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
 }
 
-/**
- * Compute pointless scores using log-normalized pageviews
- */
-function computeScores(answers, pointlessPercentile = 10) {
-    // Calculate log popularity for each answer
-    const withPop = answers.map(a => ({
-        ...a,
-        logPop: Math.log10(a.pageviews + 1)
-    }));
-
-    if (withPop.length === 0) return [];
-
-    const pops = withPop.map(a => a.logPop);
-    const minPop = Math.min(...pops);
-    const maxPop = Math.max(...pops);
-    const range = maxPop - minPop || 1;
-
-    // Calculate normalized scores
-    const scored = withPop.map(a => {
-        const norm = (a.logPop - minPop) / range;
-        return {
-            ...a,
-            rawScore: Math.round(norm * 100)
-        };
-    });
-
-    // Find the threshold for "pointless" answers (bottom percentile)
-    const sortedScores = [...scored].sort((a, b) => a.rawScore - b.rawScore);
-    const thresholdIndex = Math.floor(sortedScores.length * (pointlessPercentile / 100));
-    const pointlessThreshold = sortedScores[thresholdIndex]?.rawScore || 0;
-
-    // Apply pointless threshold - anything at or below becomes 0
-    return scored.map(a => ({
-        ...a,
-        points: a.rawScore <= pointlessThreshold ? 0 : a.rawScore
-    }));
+function formatAge(timestamp) {
+    if (!timestamp) return '-';
+    const hours = (Date.now() - timestamp) / (60 * 60 * 1000);
+    return hours < 48 ? `${Math.round(hours)}h` : `${Math.round(hours / 24)}d`;
 }
 
 /**
- * Process a single category
+ * The cache subcommand: list, stat, prune or clear
  */
-async function processCategory(category) {
-    console.log(`\nProcessing category: ${category.prompt}`);
-
-    // Run SPARQL query
-    console.log('  Running SPARQL query...');
-    const sparqlResults = await runSparqlQuery(category.sparql);
-    const bindings = sparqlResults.results?.bindings || [];
-    console.log(`  Found ${bindings.length} items`);
-
-    if (bindings.length === 0) {
-        console.log('  WARNING: No results from SPARQL query!');
-        return { ...category, answers: [] };
-    }
-
-    // Process each answer
-    const answers = [];
-    const seenLabels = new Set();
-
-    for (let i = 0; i < bindings.length; i++) {
-        const binding = bindings[i];
-        const label = binding.itemLabel?.value;
-
-        if (!label || seenLabels.has(label.toLowerCase())) continue;
-        seenLabels.add(label.toLowerCase());
-
-        const articleTitle = extractArticleTitle(binding.article?.value);
-        const wikidataId = binding.item?.value?.split('/').pop();
-
-        process.stdout.write(`\r  Processing ${i + 1}/${bindings.length}: ${label.padEnd(40).slice(0, 40)}`);
-
-        // Get pageviews
-        const days = category.scoring?.window_days || 365;
-        const pageviews = articleTitle ? await getPageviews(articleTitle, days) : 0;
-
-        // Build answer object
-        const answer = {
-            text: label,
-            wikidataId,
-            articleTitle,
-            pageviews,
-            aliases: [] // Could be expanded with Wikidata aliases
-        };
-
-        // Get image if enabled
-        if (category.images?.enabled !== false && binding.image?.value) {
-            const filename = extractCommonsFilename(binding.image.value);
-            const imageInfo = await getImageInfo(filename);
-            if (imageInfo) {
-                answer.image = imageInfo;
-            }
+function runCacheCommand(action, type) {
+    if (action === 'list') {
+        const entries = listCacheEntries(type);
+        for (const entry of entries) {
+            const key = String(entry.key).replace(/\s+/g, ' ');
+            console.log(`${(entry.type || 'stale').padEnd(16)} ${formatAge(entry.timestamp).padStart(5)} ${formatSize(entry.size).padStart(9)}${entry.expired ? ' expired' : '        '}  ${key.length > 80 ? `${key.slice(0, 77)}...` : key}`);
         }
-
-        answers.push(answer);
-    }
-
-    console.log(''); // New line after progress
-
-    // Compute scores
-    console.log('  Computing scores...');
-    const pointlessPercentile = category.scoring?.pointless_percentile || 10;
-    const scoredAnswers = computeScores(answers, pointlessPercentile);
-
-    // Log score distribution
-    const pointlessCount = scoredAnswers.filter(a => a.points === 0).length;
-    const avgScore = scoredAnswers.reduce((s, a) => s + a.points, 0) / scoredAnswers.length;
-    console.log(`  Score distribution: ${pointlessCount} pointless (0), avg score: ${avgScore.toFixed(1)}`);
-
-    // Clean up answer objects for output
-    const cleanAnswers = scoredAnswers.map(a => ({
-        text: a.text,
-        aliases: a.aliases,
-        points: a.points,
-        wikidataId: a.wikidataId,
-        ...(a.image && { image: a.image })
-    }));
-
-    return {
-        id: category.id,
-        prompt: category.prompt,
-        answers: cleanAnswers
-    };
+        console.log(`${entries.length} entries`);
+    } else if (action === 'stat') {
+        const stats = getCacheStats();
+        console.log(`${'Type'.padEnd(16)} ${'Entries'.padStart(7)} ${'Size'.padStart(9)} ${'Expired'.padStart(7)} ${'TTL'.padStart(5)} ${'Oldest'.padStart(6)} ${'Newest'.padStart(6)}`);
+        for (const stat of stats) {
+            console.log(`${stat.type.padEnd(16)} ${String(stat.entries).padStart(7)} ${formatSize(stat.size).padStart(9)} ${String(stat.expired).padStart(7)} ${(stat.ttlDays === null ? '-' : `${stat.ttlDays}d`).padStart(5)} ${formatAge(stat.oldest).padStart(6)} ${formatAge(stat.newest).padStart(6)}`);
+        }
+        const total = stats.reduce((sum, stat) => sum + stat.size, 0);
+        console.log(`${stats.reduce((sum, stat) => sum + stat.entries, 0)} entries, ${formatSize(total)}`);
+    } else if (action === 'prune') {
+        const { removed, size } = pruneCache();
+        console.log(`Removed ${removed} expired entries (${formatSize(size)})`);
+    } else if (action === 'clear') {
+        const { removed, size } = clearCache(type);
+        console.log(`Removed ${removed} ${type ? `${type} ` : ''}entries (${formatSize(size)})`);
+    } else {
+        return false;
+    }
+    return true;
 }
 
-/**
- * Main pack builder function
- */
-async function buildPack(yamlPath, outputDir) {
-    console.log(`\n${'='.repeat(60)}`);
-    console.log('POINTLESS PACK BUILDER');
-    console.log('='.repeat(60));
-
-    // Read YAML
-    const yamlContent = fs.readFileSync(yamlPath, 'utf8');
-    const packDef = YAML.parse(yamlContent);
-
-    console.log(`\nPack: ${packDef.title}`);
-    console.log(`Categories: ${packDef.categories.length}`);
-
-    // Process each category
-    const categories = [];
-    for (const categoryDef of packDef.categories) {
-        const processed = await processCategory(categoryDef);
-        categories.push(processed);
-    }
-
-    // Build final pack
-    const pack = {
-        title: packDef.title,
-        version: packDef.version || 1,
-        generatedAt: new Date().toISOString(),
-        categories
-    };
-
-    // Ensure output directory exists
-    const packDir = path.join(outputDir, packDef.title.toLowerCase().replace(/[^a-z0-9]+/g, '-'));
-    if (!fs.existsSync(packDir)) {
-        fs.mkdirSync(packDir, { recursive: true });
-    }
-
-    // Write pack.json
-    const outputPath = path.join(packDir, 'pack.json');
-    fs.writeFileSync(outputPath, JSON.stringify(pack, null, 2));
-
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`Pack saved to: ${outputPath}`);
-    console.log(`Total categories: ${categories.length}`);
-    console.log(`Total answers: ${categories.reduce((s, c) => s + c.answers.length, 0)}`);
-    console.log('='.repeat(60));
-
-    return pack;
+function printUsage() {
+    console.log('Usage: node pack-builder/index.js <path-to-yaml> [output-dir] [--offline] [--ttl=<type>:<days>] [--bundle-images[=<width>]]');
+    console.log('       node pack-builder/index.js rescore <pack.json> [path-to-yaml] [--write] [--offline]');
+    console.log('       node pack-builder/index.js csv export <pack.json> [out.csv|out.tsv]');
+    console.log('       node pack-builder/index.js csv import <file.csv|file.tsv> <pack.json> [--title=<title>] [--map=<column>:<heading>]');
+    console.log('       node pack-builder/index.js cache list [type] | stat | prune | clear [type]');
+    console.log('');
+    console.log('rescore refreshes the points of an existing pack from its wikidataIds, keeping');
+    console.log('hand edits. It prints the changes, and saves them with --write. Give the YAML');
+    console.log('the pack was built from to reuse each category\'s scoring settings.');
+    console.log('');
+    console.log('csv export writes one row per answer: category id, prompt, type, answer,');
+    console.log('points, aliases (separated by |) and image. csv import reads one back, matching');
+    console.log('headings by name - --map picks the heading for a column when it can\'t. Rows');
+    console.log('with problems are listed and nothing is written. Importing over an existing');
+    console.log('pack keeps its wikidataIds, image credits and translations.');
+    console.log('');
+    console.log('--offline builds only from pack-builder/.cache (expired entries included) and');
+    console.log('fails if anything is missing. --ttl sets how many days a type of entry stays');
+    console.log(`fresh (${Object.entries(DEFAULT_TTL_DAYS).map(([type, days]) => `${type} ${days}`).join(', ')}).`);
+    console.log('');
+    console.log('--bundle-images downloads each image into the pack\'s images/ folder so the');
+    console.log(`pack plays offline, resized to ${BUNDLE_WIDTH}px wide or the width given.`);
+    console.log('');
+    console.log('Examples:');
+    console.log('  node pack-builder/index.js categories/uk-general.yaml packs/');
+    console.log('  node pack-builder/index.js categories/pop-culture.yaml packs/ --bundle-images');
+    console.log('  node pack-builder/index.js rescore packs/uk-general-knowledge/pack.json categories/uk-general.yaml');
+    console.log('  node pack-builder/index.js csv import quiz.csv packs/quiz-night/pack.json --map=answer:Country');
+    console.log('  node pack-builder/index.js cache prune --ttl=pageviews_daily:1');
 }
 
 // CLI
 const args = process.argv.slice(2);
-if (args.length < 1) {
-    console.log('Usage: node pack-builder/index.js <path-to-yaml> [output-dir]');
-    console.log('');
-    console.log('Example:');
-    console.log('  node pack-builder/index.js categories/uk-general.yaml packs/');
+const flags = args.filter(arg => arg.startsWith('--'));
+const positional = args.filter(arg => !arg.startsWith('--'));
+let buildOptions;
+
+try {
+    buildOptions = parseBundleFlag(flags);
+    const offline = flags.includes('--offline');
+    configureHttp({ offline });
+    configureCache({ ttl: parseTtlFlags(flags), ignoreExpiry: offline });
+} catch (e) {
+    console.error(e.message);
     process.exit(1);
 }
 
-const yamlPath = args[0];
-const outputDir = args[1] || path.join(path.dirname(yamlPath), '..', 'packs');
-
-buildPack(yamlPath, outputDir).catch(err => {
-    console.error('Error building pack:', err);
+if (positional[0] === 'cache') {
+    if (!runCacheCommand(positional[1], positional[2] || null)) {
+        printUsage();
+        process.exit(1);
+    }
+} else if (positional[0] === 'csv' && (positional[1] === 'export' ? positional[2] : positional[1] === 'import' && positional[3])) {
+    const titleFlag = flags.find(flag => flag.startsWith('--title='));
+    try {
+        if (positional[1] === 'export') {
+            exportCsv(positional[2], positional[3] || null);
+        } else {
+            const problems = importCsv(positional[2], positional[3], { title: titleFlag ? titleFlag.slice('--title='.length) : null, flags });
+            if (problems.length > 0) process.exitCode = 1;
+        }
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+} else if (positional[0] === 'rescore' && positional[1]) {
+    rescorePack(positional[1], { yamlPath: positional[2] || null, write: flags.includes('--write') }).then(() => {
+        if (reportFetchFailures() > 0) process.exitCode = 1;
+    }).catch(err => {
+        reportFetchFailures();
+        console.error('Error rescoring pack:', err);
+        process.exit(1);
+    });
+} else if (positional.length < 1 || positional[0] === 'rescore' || positional[0] === 'csv') {
+    printUsage();
     process.exit(1);
-});
+} else {
+    const yamlPath = positional[0];
+    const outputDir = positional[1] || path.join(path.dirname(yamlPath), '..', 'packs');
+
+    buildPack(yamlPath, outputDir, buildOptions).then(() => {
+        if (reportFetchFailures() > 0) process.exitCode = 1;
+    }).catch(err => {
+        reportFetchFailures();
+        console.error('Error building pack:', err);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * Pointless Category Linter
+ *
+ * Scores each category in a pack against CATEGORY_BRIEFING.md: 12-45 answers,
+ * answers in every difficulty band, and 1-3 pointless answers. Also flags
+ * answers that turn up in more than one category of a pack.
+ *
+ * With no files, lints every packs/<pack>/pack.json. Exits 1 if any category
+ * has an error (too small or too large, too few or too many zeros) - or any
+ * warning at all with --strict.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import '../js/shared/rules.js';
+import '../js/shared/pack-format.js';
+import '../js/shared/category-lint.js';
+
+const PackFormat = globalThis.PointlessPackFormat;
+const Lint = globalThis.PointlessCategoryLint;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PACKS_DIR = path.join(__dirname, '..', 'packs');
+
+const BAND_ABBREVIATIONS = { 'high': 'H', 'mid-high': 'MH', 'mid': 'M', 'low': 'L', 'very-low': 'VL', 'pointless': 'P' };
+
+/**
+ * Every bundled pack.json, relative to the working directory
+ */
+function findPacks() {
+    return fs.readdirSync(PACKS_DIR).sort()
+        .map(dir => path.join(PACKS_DIR, dir, 'pack.json'))
+        .filter(packPath => fs.existsSync(packPath))
+        .map(packPath => path.relative(process.cwd(), packPath));
+}
+
+function formatIssue({ severity, message }) {
+    return `${severity === 'error' ? '✗' : '!'} ${message}`;
+}
+
+/**
+ * Lint one pack file and print its report. Returns { errors, warnings }
+ */
+function lintFile(filePath) {
+    let pack;
+    try {
+        // Strip a byte order mark - some packs were saved from Windows editors
+        pack = PackFormat.migratePack(JSON.parse(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '')));
+    } catch (e) {
+        console.error(`${filePath}: could not read JSON - ${e.message}`);
+        return { errors: 1, warnings: 0 };
+    }
+
+    const report = Lint.lintPack(pack);
+    const average = report.categories.length
+        ? Math.round(report.categories.reduce((sum, c) => sum + c.score, 0) / report.categories.length)
+        : 0;
+    console.log(`\n${filePath} - ${pack.title} (${report.categories.length} categories, average score ${average})`);
+
+    const counts = { errors: 0, warnings: 0 };
+    const count = issues => issues.forEach(issue => {
+        counts[issue.severity === 'error' ? 'errors' : 'warnings']++;
+    });
+
+    for (const category of report.categories) {
+        const bands = Lint.SCORE_BANDS.map(band => `${BAND_ABBREVIATIONS[band.id]} ${category.bands[band.id]}`).join(' | ');
+        console.log(`  ${category.id.padEnd(28)} score ${String(category.score).padStart(3)}  [${bands}]  ${category.size} answers`);
+        category.issues.forEach(issue => console.log(`      ${formatIssue(issue)}`));
+        count(category.issues);
+    }
+
+    if (report.issues.length > 0) {
+        console.log('  Across categories:');
+        report.issues.forEach(issue => console.log(`      ${formatIssue(issue)}`));
+        count(report.issues);
+    }
+
+    return counts;
+}
+
+// CLI
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const files = args.filter(arg => !arg.startsWith('--'));
+
+if (args.includes('--help')) {
+    console.log('Usage: node pack-builder/lint-pack.js [--strict] [pack.json...]');
+    console.log('');
+    console.log('  Lints every packs/<pack>/pack.json when no files are given.');
+    console.log('  --strict  Fail on warnings as well as errors');
+    process.exit(0);
+}
+
+let errors = 0;
+let warnings = 0;
+for (const file of files.length > 0 ? files : findPacks()) {
+    const counts = lintFile(file);
+    errors += counts.errors;
+    warnings += counts.warnings;
+}
+
+const bandKey = Lint.SCORE_BANDS
+    .map(band => {
+        const range = band.min === band.max ? `${band.min}` : `${band.min}-${band.max}`;
+        return `${BAND_ABBREVIATIONS[band.id]} ${range} (${band.target.join('-')})`;
+    })
+    .join(' | ');
+console.log('\nScore: share of briefing checks passed (12-45 answers, each band on target)');
+console.log(`Bands: ${bandKey}`);
+console.log(`${errors} errors, ${warnings} warnings`);
+process.exit(errors > 0 || (strict && warnings > 0) ? 1 : 0);
@@ -0,0 +1,205 @@
+/**
+ * Pointless Pack Builder Overrides
+ *
+ * Hand corrections to what Wikidata returns, from a category's YAML:
+ * - exclude: answers to leave out, by QID or label
+ * - label_overrides: { QID or label: new text } - the old label is kept as an alias
+ * - alias_additions: { QID or label: [aliases] }
+ * - min_pageviews: leave out answers with fewer views over the scoring window
+ * - points_overrides: { QID or label: points }, replacing the computed points
+ * - include: extra answers, [{ text, points, aliases, wikidataId, image }]
+ *
+ * Labels match the way the game matches answers (ignoring case, accents and
+ * punctuation) and always mean the label Wikidata gave. Anything that matched
+ * no answer is reported, so overrides don't quietly go stale as the data changes.
+ */
+
+import '../js/shared/rules.js';
+
+const Rules = globalThis.PointlessRules;
+
+// The overrides keyed by QID or label
+const KEYED_FIELDS = ['exclude', 'label_overrides', 'alias_additions', 'points_overrides'];
+
+/**
+ * Read and check a category's overrides. Returns a Map for each keyed field,
+ * include, minPageviews, and used - the "field: key" entries that have matched
+ * an answer so far
+ */
+export function readOverrides(category) {
+    const where = field => `Category "${category.id}" ${field}`;
+    const asMap = (field, value) => {
+        if (value === undefined) return new Map();
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error(`${where(field)} should be a map of QID or label to a value`);
+        }
+        return new Map(Object.entries(value));
+    };
+    const isPoints = value => typeof value === 'number' && value >= 0 && value <= 100;
+
+    const exclude = category.exclude ?? [];
+    if (!Array.isArray(exclude)) {
+        throw new Error(`${where('exclude')} should be a list of QIDs or labels`);
+    }
+
+    const points = asMap('points_overrides', category.points_overrides);
+    for (const [key, value] of points) {
+        if (!isPoints(value)) throw new Error(`${where('points_overrides')} "${key}" should be 0-100, not ${value}`);
+    }
+
+    const aliases = asMap('alias_additions', category.alias_additions);
+    for (const [key, value] of aliases) {
+        aliases.set(key, Array.isArray(value) ? value.map(String) : [String(value)]);
+    }
+
+    const include = category.include ?? [];
+    if (!Array.isArray(include)) {
+        throw new Error(`${where('include')} should be a list of answers`);
+    }
+    include.forEach((answer, i) => {
+        if (!answer?.text || !isPoints(answer.points)) {
+            throw new Error(`${where(`include[${i}]`)} needs a text and points from 0-100`);
+        }
+    });
+
+    const minPageviews = category.min_pageviews ?? null;
+    if (minPageviews !== null && !(minPageviews >= 0)) {
+        throw new Error(`${where('min_pageviews')} should be a number of views`);
+    }
+
+    return {
+        exclude: new Map(exclude.map(key => [String(key), true])),
+        label_overrides: asMap('label_overrides', category.label_overrides),
+        alias_additions: aliases,
+        points_overrides: points,
+        include,
+        minPageviews,
+        used: new Set()
+    };
+}
+
+/**
+ * The value for an answer in one of the keyed maps, by QID first, then label
+ */
+function lookup(overrides, field, answer) {
+    const map = overrides[field];
+    if (map.size === 0) return undefined;
+
+    const label = Rules.normalizeAnswer(answer.originalText ?? answer.text);
+    for (const [key, value] of map) {
+        if (key === answer.wikidataId || Rules.normalizeAnswer(key) === label) {
+            overrides.used.add(`${field}: ${key}`);
+            return value;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Leave out excluded answers and apply label overrides - before scoring, so
+ * excluded answers don't stretch the scale and new labels get their own aliases
+ */
+export function excludeAndRelabel(overrides, answers) {
+    const kept = answers.filter(answer => lookup(overrides, 'exclude', answer) === undefined);
+    if (kept.length < answers.length) {
+        console.log(`  Excluded ${answers.length - kept.length} answer${answers.length - kept.length === 1 ? '' : 's'}`);
+    }
+
+    for (const answer of kept) {
+        const label = lookup(overrides, 'label_overrides', answer);
+        if (label !== undefined) {
+            answer.originalText = answer.text;
+            answer.text = String(label);
+        }
+    }
+    return kept;
+}
+
+/**
+ * Leave out answers seen fewer than min_pageviews times over the scoring
+ * window (diagnostics from the wikipedia_pageviews metric), along with their
+ * popularity. Answers whose views couldn't be fetched are kept.
+ * Returns { answers, popularity }.
+ */
+export function dropRarelyViewed(overrides, answers, popularity, diagnostics, usesPageviews) {
+    if (overrides.minPageviews === null) return { answers, popularity };
+    if (!usesPageviews) {
+        console.log('  WARNING: min_pageviews only works with the wikipedia_pageviews metric (or a blend using it) - ignored');
+        return { answers, popularity };
+    }
+
+    const keep = answers.map((answer, i) => {
+        if (popularity[i] === null) return true;
+        const views = diagnostics[answer.text]?.total ?? 0;
+        return views >= overrides.minPageviews;
+    });
+    const dropped = answers.filter((answer, i) => !keep[i]);
+    if (dropped.length > 0) {
+        console.log(`  Dropped ${dropped.length} answer${dropped.length === 1 ? '' : 's'} under ${overrides.minPageviews} pageviews: ${dropped.map(answer => answer.text).join(', ')}`);
+    }
+    return {
+        answers: answers.filter((answer, i) => keep[i]),
+        popularity: popularity.filter((value, i) => keep[i])
+    };
+}
+
+/**
+ * Add extra aliases and replace points on the scored answers
+ */
+export function applyOverrides(overrides, answers) {
+    for (const answer of answers) {
+        const extraAliases = [...(lookup(overrides, 'alias_additions', answer) || [])];
+        if (answer.originalText) extraAliases.push(answer.originalText);
+
+        const known = new Set([answer.text, ...answer.aliases].map(Rules.normalizeAnswer));
+        for (const alias of extraAliases) {
+            const form = Rules.normalizeAnswer(alias);
+            if (form && !known.has(form)) {
+                known.add(form);
+                answer.aliases.push(alias);
+            }
+        }
+
+        const points = getPointsOverride(overrides, answer);
+        if (points !== undefined) {
+            answer.points = points;
+        }
+    }
+}
+
+/**
+ * The points_overrides entry for an answer, if it has one
+ */
+export function getPointsOverride(overrides, answer) {
+    return lookup(overrides, 'points_overrides', answer);
+}
+
+/**
+ * The include answers that aren't already among the answers
+ */
+export function getIncludedAnswers(overrides, answers) {
+    const texts = new Set(answers.map(answer => Rules.normalizeAnswer(answer.text)));
+    const included = [];
+    for (const extra of overrides.include) {
+        if (texts.has(Rules.normalizeAnswer(extra.text))) {
+            console.log(`  WARNING: include "${extra.text}" is already an answer - skipped`);
+            continue;
+        }
+        texts.add(Rules.normalizeAnswer(extra.text));
+        included.push({ aliases: [], ...extra });
+    }
+    if (included.length > 0) {
+        console.log(`  Included ${included.length} extra answer${included.length === 1 ? '' : 's'}`);
+    }
+    return included;
+}
+
+/**
+ * The exclude, label_overrides, alias_additions and points_overrides keys that
+ * matched no answer, as "field: key"
+ */
+export function findStaleOverrides(overrides) {
+    return KEYED_FIELDS.flatMap(field => [...overrides[field].keys()]
+        .map(key => `${field}: ${key}`)
+        .filter(entry => !overrides.used.has(entry)));
+}
@@ -0,0 +1,127 @@
+/**
+ * Pointless Pack Builder Question Types
+ *
+ * Turns a category's answers into one of the game's special rounds, set by
+ * `type` in the YAML:
+ * - anagram: each answer gets the scrambled letters to show (`scrambled`)
+ * - picture: answers without an image are dropped
+ * - missing_word: each answer gets a phrase with a gap (`display`), from
+ *   missing_word.template
+ */
+
+import '../js/shared/rules.js';
+import '../js/shared/pack-format.js';
+
+const PackFormat = globalThis.PointlessPackFormat;
+
+const DEFAULT_GAP = '_____';
+
+/**
+ * Check the category's type and its settings before anything is fetched
+ */
+export function checkQuestionType(category) {
+    const type = category.type || 'standard';
+    if (!PackFormat.QUESTION_TYPES.includes(type)) {
+        throw new Error(`Category "${category.id}" has unknown type "${type}" (use ${PackFormat.QUESTION_TYPES.join(', ')})`);
+    }
+    if (type === 'picture' && category.images?.enabled === false) {
+        throw new Error(`Category "${category.id}" is a picture round, so it needs images enabled`);
+    }
+    if (type === 'missing_word' && !category.missing_word?.template?.includes('{answer}')) {
+        throw new Error(`Category "${category.id}" needs a missing_word.template with an {answer} gap, e.g. "{answer} Street"`);
+    }
+}
+
+/**
+ * A small seeded random number generator, so an answer scrambles the same way
+ * on every build and rebuilt packs only change where the data did
+ */
+function seededRandom(text) {
+    let seed = 2166136261;
+    for (const char of text) {
+        seed = Math.imul(seed ^ char.codePointAt(0), 16777619);
+    }
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), seed | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function shuffle(chars, random) {
+    for (let i = chars.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [chars[i], chars[j]] = [chars[j], chars[i]];
+    }
+    return chars;
+}
+
+/**
+ * Scramble an answer's letters, in capitals. Like the game's own scrambleText
+ * the spaces are dropped, unless keepWords scrambles each word in place.
+ * The result is never the answer itself if the letters allow anything else.
+ */
+export function scrambleAnswer(text, { keepWords = false } = {}) {
+    const upper = text.toUpperCase().trim();
+    const words = keepWords ? upper.split(/\s+/) : [upper.replace(/\s/g, '')];
+    const plain = words.join(keepWords ? ' ' : '');
+    const random = seededRandom(text);
+
+    let scrambled = plain;
+    for (let attempt = 0; attempt < 10 && scrambled === plain; attempt++) {
+        scrambled = words.map(word => shuffle([...word], random).join('')).join(keepWords ? ' ' : '');
+    }
+    return scrambled;
+}
+
+/**
+ * Fill a missing_word template: {answer} becomes the gap, and any other
+ * {name} the value of ?name in the answer's SPARQL result
+ */
+export function fillTemplate(template, values, gap = DEFAULT_GAP) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (name === 'answer') return gap;
+        return values[name] ?? placeholder;
+    });
+}
+
+/**
+ * Apply the category's type to its answers ({ text, image, values }, where
+ * values are the answer's SPARQL result). Returns the answers to keep.
+ */
+export function applyQuestionType(category, answers) {
+    const type = category.type || 'standard';
+
+    if (type === 'anagram') {
+        const keepWords = category.anagram?.keep_words === true;
+        for (const answer of answers) {
+            answer.scrambled = scrambleAnswer(answer.text, { keepWords });
+        }
+        return answers;
+    }
+
+    if (type === 'picture') {
+        const withImages = answers.filter(answer => answer.image);
+        const dropped = answers.length - withImages.length;
+        if (dropped > 0) {
+            console.log(`  Dropped ${dropped} answer${dropped === 1 ? '' : 's'} without an image (picture round)`);
+        }
+        return withImages;
+    }
+
+    if (type === 'missing_word') {
+        const { template, gap = DEFAULT_GAP } = category.missing_word;
+        const unfilled = new Set();
+        for (const answer of answers) {
+            answer.display = fillTemplate(template, answer.values || {}, gap);
+            for (const [, name] of answer.display.matchAll(/\{(\w+)\}/g)) unfilled.add(name);
+        }
+        if (unfilled.size > 0) {
+            console.log(`  WARNING: missing_word.template uses ${[...unfilled].map(name => `{${name}}`).join(', ')}, which some answers' SPARQL results don't have`);
+        }
+        return answers;
+    }
+
+    return answers;
+}
@@ -0,0 +1,289 @@
+/**
+ * Pointless Pack Builder Scoring
+ *
+ * Turns answers into points: a popularity metric per category (pageviews,
+ * sitelinks, manual numbers or a blend - see SCORING_METRICS), then
+ * computeScores spreads them over 0-100 on a log scale, with the least
+ * popular answers made pointless.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import '../js/shared/rules.js';
+import '../js/shared/pack-format.js';
+import '../js/shared/pack-csv.js';
+import { getDailyPageviews, getSitelinkCounts } from './wikimedia.js';
+
+const PackCsv = globalThis.PointlessPackCsv;
+
+// Pageview API agent types - 'user' leaves out known bots and crawlers
+const PAGEVIEW_AGENTS = ['all-agents', 'user', 'automated', 'spider'];
+const PAGEVIEW_AGGREGATES = ['sum', 'median', 'trimmed_mean'];
+
+/**
+ * Turn daily pageviews into one popularity number, as set by scoring.aggregate:
+ * - sum (default): total views - one news story can inflate it for the whole window
+ * - median: a typical day's views - ignores spikes entirely
+ * - trimmed_mean: mean daily views without the busiest and quietest
+ *   scoring.trim fraction of days (default 0.1 each end)
+ * Days with more than scoring.spike_factor (default 10) times the median are
+ * reported as outliers; with trimmed_mean, every day trimmed off the top is.
+ * Returns { value, aggregate, total, median, outliers: [{ date, views }] }
+ */
+export function aggregatePageviews(daily, days, scoring = {}) {
+    const aggregate = scoring.aggregate || 'sum';
+    const spikeFactor = scoring.spike_factor ?? 10;
+
+    // Days missing from the API had no views
+    const views = daily.map(day => day.views);
+    while (views.length < days) views.push(0);
+    const sorted = [...views].sort((a, b) => a - b);
+
+    const total = views.reduce((sum, v) => sum + v, 0);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length === 0 ? 0
+        : sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    const spikeLimit = Math.max(median, 1) * spikeFactor;
+
+    let value;
+    let outliers = daily.filter(day => day.views > spikeLimit);
+    if (aggregate === 'sum') {
+        value = total;
+    } else if (aggregate === 'median') {
+        value = median;
+    } else if (aggregate === 'trimmed_mean') {
+        const trim = Math.floor(sorted.length * (scoring.trim ?? 0.1));
+        const kept = sorted.slice(trim, sorted.length - trim);
+        value = kept.length ? kept.reduce((sum, v) => sum + v, 0) / kept.length : 0;
+
+        // The busiest days were the ones left out
+        outliers = [...daily].sort((a, b) => b.views - a.views).slice(0, trim).filter(day => day.views > 0);
+    } else {
+        throw new Error(`Unknown pageview aggregate "${aggregate}" (use ${PAGEVIEW_AGGREGATES.join(', ')})`);
+    }
+
+    outliers = [...outliers].sort((a, b) => b.views - a.views);
+    return { value, aggregate, total, median, outliers };
+}
+
+/**
+ * Log the answers whose pageviews were dominated by a few days
+ */
+export function reportSpikes(diagnostics) {
+    const spiky = Object.entries(diagnostics)
+        .filter(([, details]) => details.outliers.length > 0)
+        .map(([text, details]) => {
+            const spikeViews = details.outliers.reduce((sum, day) => sum + day.views, 0);
+            return { text, share: details.total ? spikeViews / details.total : 0, top: details.outliers[0] };
+        })
+        .filter(entry => entry.share >= 0.25)
+        .sort((a, b) => b.share - a.share);
+
+    if (spiky.length === 0) return;
+    console.log(`  ${spiky.length} answer${spiky.length === 1 ? '' : 's'} got a quarter or more of their views from spikes:`);
+    for (const { text, share, top } of spiky.slice(0, 10)) {
+        console.log(`    ${text}: ${Math.round(share * 100)}% (busiest day ${top.date}, ${top.views} views)`);
+    }
+}
+
+// Manual values by scoring settings, so a CSV is only read (and warned about) once
+const manualValuesCache = new WeakMap();
+
+/**
+ * Popularity numbers for the manual metric, keyed by QID or label: the YAML's
+ * scoring.values, plus a CSV (scoring.csv, relative to the YAML file) with a
+ * header row naming an "id" or "label" column and a "popularity" column
+ */
+export function loadManualValues(scoring, baseDir) {
+    if (manualValuesCache.has(scoring)) {
+        return manualValuesCache.get(scoring);
+    }
+    const values = new Map(Object.entries(scoring.values || {}).map(([key, value]) => [key, Number(value)]));
+
+    if (scoring.csv) {
+        const csvPath = path.resolve(baseDir, scoring.csv);
+        const [header = [], ...rows] = PackCsv.parseDelimited(fs.readFileSync(csvPath, 'utf8'));
+        const columns = header.map(name => name.trim().toLowerCase());
+        const keyColumn = columns.includes('id') ? columns.indexOf('id') : columns.indexOf('label');
+        const valueColumn = columns.indexOf('popularity');
+        if (keyColumn === -1 || valueColumn === -1) {
+            throw new Error(`${scoring.csv} needs an "id" or "label" column and a "popularity" column`);
+        }
+
+        rows.forEach((row, i) => {
+            if (row.every(cell => cell.trim() === '')) return;
+            const key = row[keyColumn]?.trim();
+            const value = Number(row[valueColumn]);
+            if (!key || row[valueColumn]?.trim() === '' || !Number.isFinite(value)) {
+                console.warn(`  ${scoring.csv} row ${i + 2}: needs a name and a number - skipped`);
+                return;
+            }
+            values.set(key, value);
+        });
+    }
+
+    manualValuesCache.set(scoring, values);
+    return values;
+}
+
+/**
+ * Popularity metrics, chosen per category by scoring.metric. Each gets the
+ * answers ({ text, wikidataId, articleTitle }), the scoring settings and a
+ * context ({ baseDir: the YAML file's directory, diagnostics: per-answer notes
+ * to write out }), and returns one popularity number per answer - or null
+ * where fetching failed - which computeScores turns into points.
+ */
+export const SCORING_METRICS = {
+    // English Wikipedia views, aggregated as set by scoring.aggregate
+    // (see aggregatePageviews) over scoring.window_days or window_years
+    async wikipedia_pageviews(answers, scoring, context) {
+        const days = scoring.window_years ? Math.round(scoring.window_years * 365) : scoring.window_days || 365;
+        const agent = scoring.agent || 'all-agents';
+        if (!PAGEVIEW_AGENTS.includes(agent)) {
+            throw new Error(`Unknown pageview agent "${agent}" (use ${PAGEVIEW_AGENTS.join(', ')})`);
+        }
+        if (scoring.aggregate && !PAGEVIEW_AGGREGATES.includes(scoring.aggregate)) {
+            throw new Error(`Unknown pageview aggregate "${scoring.aggregate}" (use ${PAGEVIEW_AGGREGATES.join(', ')})`);
+        }
+        // Fetched in parallel - the request queue keeps it polite
+        let done = 0;
+        const popularity = await Promise.all(answers.map(async ({ text, articleTitle }) => {
+            const daily = articleTitle ? await getDailyPageviews(articleTitle, days, agent) : [];
+            process.stdout.write(`\r  Pageviews ${++done}/${answers.length}: ${text.padEnd(40).slice(0, 40)}`);
+            if (daily === null) return null;
+            if (!articleTitle) return 0;
+
+            const { value, ...details } = aggregatePageviews(daily, days, scoring);
+            context.diagnostics[text] = { article: articleTitle, agent, days, value, ...details };
+            return value;
+        }));
+        console.log(''); // New line after progress
+        return popularity;
+    },
+
+    // Number of Wikimedia sites about the item - steadier than pageviews for
+    // things that are widely known but rarely looked up (e.g. chemical elements)
+    async wikidata_sitelinks(answers) {
+        const counts = await getSitelinkCounts(answers.map(a => a.wikidataId).filter(Boolean));
+        return answers.map(a => {
+            if (!a.wikidataId) return 0;
+            // Missing from the results means the lookup failed
+            return counts.has(a.wikidataId) ? counts.get(a.wikidataId).sitelinks : null;
+        });
+    },
+
+    // Numbers given by hand in scoring.values and/or scoring.csv - no network needed
+    async manual(answers, scoring, context) {
+        const values = loadManualValues(scoring, context.baseDir);
+        return answers.map(a => {
+            const value = values.get(a.wikidataId) ?? values.get(a.text);
+            if (value === undefined) {
+                console.warn(`  No manual popularity for "${a.text}" - using 0`);
+                return 0;
+            }
+            return value;
+        });
+    },
+
+    // Weighted mix of other metrics, each with its own settings, e.g.
+    //   metrics: [{ metric: wikipedia_pageviews, weight: 2 }, { metric: wikidata_sitelinks, weight: 1 }]
+    async blend(answers, scoring, context) {
+        const parts = scoring.metrics || [];
+        if (parts.length === 0) {
+            throw new Error('The blend metric needs a list of scoring.metrics');
+        }
+
+        // Metrics have very different ranges, so each is log-normalized to 0-1 before weighting.
+        // An answer any part failed to fetch can't be blended.
+        const blended = answers.map(() => 0);
+        let totalWeight = 0;
+        for (const part of parts) {
+            if (part.metric === 'blend') {
+                throw new Error('A blend can\'t contain another blend');
+            }
+            const weight = part.weight ?? 1;
+            const normalized = normalizeLog(await runMetric(answers, part, context));
+            normalized.forEach((value, i) => {
+                blended[i] = value === null || blended[i] === null ? null : blended[i] + value * weight;
+            });
+            totalWeight += weight;
+        }
+
+        // computeScores takes log10(popularity + 1), so this hands it the blend unchanged
+        return blended.map(value => value === null ? null : 10 ** (value / (totalWeight || 1)) - 1);
+    }
+};
+
+/**
+ * Run the metric named in the scoring settings (pageviews if none is given)
+ */
+export async function runMetric(answers, scoring, context) {
+    const name = scoring.metric || 'wikipedia_pageviews';
+    const metric = SCORING_METRICS[name];
+    if (!metric) {
+        throw new Error(`Unknown scoring metric "${name}" (use ${Object.keys(SCORING_METRICS).join(', ')})`);
+    }
+    return metric(answers, scoring, context);
+}
+
+/**
+ * Scale values to 0-1 on a log scale (nulls stay null)
+ */
+export function normalizeLog(values) {
+    const logs = values.map(value => value === null ? null : Math.log10(Math.max(value, 0) + 1));
+    const known = logs.filter(value => value !== null);
+    const min = Math.min(...known);
+    const range = Math.max(...known) - min || 1;
+    return logs.map(value => value === null ? null : (value - min) / range);
+}
+
+/**
+ * Compute pointless scores using log-normalized popularity
+ * Answers whose popularity couldn't be fetched (null) get the median points of
+ * the rest, marked popularityFailed, rather than counting as pointless.
+ */
+export function computeScores(answers, pointlessPercentile = 10) {
+    const known = answers.filter(a => a.popularity !== null && a.popularity !== undefined);
+    if (known.length < answers.length) {
+        const scoredKnown = computeScores(known, pointlessPercentile);
+        const points = scoredKnown.map(a => a.points).sort((a, b) => a - b);
+        const median = points.length ? points[Math.floor(points.length / 2)] : 50;
+        let next = 0;
+        return answers.map(a => known.includes(a)
+            ? scoredKnown[next++]
+            : { ...a, rawScore: median, points: median, popularityFailed: true });
+    }
+
+    // Calculate log popularity for each answer
+    const withPop = answers.map(a => ({
+        ...a,
+        logPop: Math.log10(a.popularity + 1)
+    }));
+
+    if (withPop.length === 0) return [];
+
+    const pops = withPop.map(a => a.logPop);
+    const minPop = Math.min(...pops);
+    const maxPop = Math.max(...pops);
+    const range = maxPop - minPop || 1;
+
+    // Calculate normalized scores
+    const scored = withPop.map(a => {
+        const norm = (a.logPop - minPop) / range;
+        return {
+            ...a,
+            rawScore: Math.round(norm * 100)
+        };
+    });
+
+    // Find the threshold for "pointless" answers (bottom percentile)
+    const sortedScores = [...scored].sort((a, b) => a.rawScore - b.rawScore);
+    const thresholdIndex = Math.floor(sortedScores.length * (pointlessPercentile / 100));
+    const pointlessThreshold = sortedScores[thresholdIndex]?.rawScore || 0;
+
+    // Apply pointless threshold - anything at or below becomes 0
+    return scored.map(a => ({
+        ...a,
+        points: a.rawScore <= pointlessThreshold ? 0 : a.rawScore
+    }));
+}
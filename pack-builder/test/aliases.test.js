@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deriveAliases, addAliases } from '../aliases.js';
+
+test('deriveAliases drops a qualifier and a leading "The"', () => {
+    assert.deepEqual(deriveAliases('Mercury (planet)', false), ['Mercury']);
+    assert.deepEqual(deriveAliases('The Beatles', false), ['Beatles']);
+    assert.deepEqual(deriveAliases('The Who (band)', false), ['The Who', 'Who']);
+    assert.deepEqual(deriveAliases('Paris', false), []);
+});
+
+test('deriveAliases gives people their surname, skipping suffixes and regnal numbers', () => {
+    assert.deepEqual(deriveAliases('Martin Luther King Jr.', true), ['King']);
+    assert.deepEqual(deriveAliases('Elizabeth II', true), []);
+    assert.deepEqual(deriveAliases('Adele', true), []);
+    assert.deepEqual(deriveAliases('Charles Darwin', false), []);
+});
+
+test('addAliases drops and reports an alias that would match two answers', async t => {
+    const log = t.mock.method(console, 'log', () => {});
+    const answers = [
+        { text: 'Mercury (planet)', aliases: [] },
+        { text: 'Mercury (element)', aliases: [] },
+        { text: 'The Beatles', aliases: [] }
+    ];
+
+    await addAliases(answers, { wikidata: false });
+    assert.deepEqual(answers.map(answer => answer.aliases), [[], [], ['Beatles']]);
+    assert.deepEqual(log.mock.calls.map(call => call.arguments.join(' ')), [
+        '  Added 1 aliases',
+        '  Dropped 1 ambiguous aliases:',
+        '    "Mercury" would match "Mercury (planet)" / "Mercury (element)"'
+    ]);
+});
+
+test('addAliases drops a derived alias that is another answer\'s own text', async t => {
+    t.mock.method(console, 'log', () => {});
+    const answers = [{ text: 'Who', aliases: [] }, { text: 'The Who', aliases: [] }];
+    await addAliases(answers, { wikidata: false });
+    assert.deepEqual(answers.map(answer => answer.aliases), [[], []]);
+});
@@ -0,0 +1,37 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { updatePackIndex } from '../build-index.js';
+
+const packsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pack-builder-index-'));
+after(() => fs.rmSync(packsDir, { recursive: true, force: true }));
+
+function write(file, json) {
+    fs.mkdirSync(path.dirname(path.join(packsDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(packsDir, file), typeof json === 'string' ? json : JSON.stringify(json));
+}
+
+const category = (id, prompt) => ({ id, prompt, answers: [{ text: 'War', points: 52 }, { text: 'Boy', points: 28 }] });
+
+test('single-category files are indexed as one-category packs, and other files are reported', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    write('classics/pack.json', { title: 'Classics', categories: [category('capitals', 'Name a capital')] });
+    write('classics/overrides.json', { capitals: {} });
+    write('music/u2-albums.json', '\uFEFF' + JSON.stringify(category('u2-albums', "Name one of U2's studio albums")));
+    write('music/notes.json', { todo: 'more bands' });
+    write('music/broken.json', '{"id":');
+
+    const { packs } = updatePackIndex(packsDir);
+    assert.deepEqual(packs.map(({ id, path, title, categoryCount }) => ({ id, path, title, categoryCount })), [
+        { id: 'classics', path: 'classics/pack.json', title: 'Classics', categoryCount: 1 },
+        { id: 'music-u2-albums', path: 'music/u2-albums.json', title: "Name one of U2's studio albums", categoryCount: 1 }
+    ]);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(packsDir, 'index.json'), 'utf8')), { packs });
+
+    const warnings = warn.mock.calls.map(call => call.arguments[0]);
+    assert.equal(warnings.length, 2);
+    assert.match(warnings[0], /^Skipping packs\/music\/broken\.json: /);
+    assert.equal(warnings[1], 'Skipping packs/music/notes.json: not a pack.json or a single category');
+});
@@ -0,0 +1,108 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import YAML from 'yaml';
+import { processCategory, buildPack } from '../builder.js';
+import { configureHttp, getFetchFailures } from '../http.js';
+import { FIXTURES_DIR, useFixtures } from './helpers.js';
+
+const { fetch, cleanup } = useFixtures('wikidata.json', 'pageviews.json', 'commons.json');
+after(cleanup);
+
+const packDef = YAML.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'nordic-countries.yaml'), 'utf8'));
+const diagnostics = {};
+const category = await processCategory(packDef.categories[0], { baseDir: FIXTURES_DIR, diagnostics });
+const answer = text => category.answers.find(a => a.text === text);
+
+test('processCategory builds the category from recorded responses only', () => {
+    assert.equal(category.id, 'nordic_countries');
+    assert.equal(category.prompt, 'Name a Nordic country');
+    assert.deepEqual(getFetchFailures(), []);
+});
+
+test('duplicate labels keep only the first result, ignoring case', () => {
+    assert.deepEqual(category.answers.map(a => a.text), ['Denmark', 'Finland', 'Norway', 'Iceland', 'Sweden']);
+    assert.equal(answer('Denmark').image.fullUrl, 'https://upload.wikimedia.org/wikipedia/commons/9/9c/Flag_of_Denmark.svg');
+    assert.ok(!fetch.requests.some(request => request.url.includes('Naval%20Ensign')));
+    assert.ok(!fetch.requests.some(request => request.url.includes('civil')));
+});
+
+test('answers are scored from pageviews, with the bottom percentile pointless', () => {
+    assert.equal(answer('Sweden').points, 100);
+    assert.ok(answer('Norway').points > answer('Denmark').points);
+    assert.ok(answer('Denmark').points > 0);
+    // 20th percentile of five answers: the two least viewed
+    assert.equal(answer('Finland').points, 0);
+    assert.equal(answer('Iceland').points, 0);
+    assert.equal(diagnostics.nordic_countries.Sweden.total, 371817);
+});
+
+test('answers get Wikidata aliases and keep their wikidataId', () => {
+    assert.deepEqual(answer('Denmark').aliases, ['Kingdom of Denmark', 'DK']);
+    assert.deepEqual(answer('Iceland').aliases, []);
+    assert.equal(answer('Finland').wikidataId, 'Q33');
+});
+
+test('images come with attribution, and answers without one have none', () => {
+    assert.equal(answer('Denmark').image.author, 'User:Madden');
+    assert.equal(answer('Denmark').image.license, 'Public domain');
+    assert.equal(answer('Sweden').image, undefined);
+    assert.equal(answer('Norway').image, undefined);
+});
+
+test('a picture round keeps only the answers with images', async () => {
+    const picture = await processCategory({ ...packDef.categories[0], id: 'nordic_flags', type: 'picture' }, { baseDir: FIXTURES_DIR });
+    assert.equal(picture.type, 'picture');
+    assert.deepEqual(picture.answers.map(a => a.text), ['Denmark']);
+});
+
+test('an anagram round stores the scrambled letters of each answer', async () => {
+    const anagram = await processCategory({ ...packDef.categories[0], id: 'nordic_anagrams', type: 'anagram' }, { baseDir: FIXTURES_DIR });
+    assert.equal(anagram.type, 'anagram');
+    assert.ok(anagram.answers.every(a => [...a.scrambled].sort().join('') === [...a.text.toUpperCase()].sort().join('')));
+    assert.equal(category.type, undefined);
+});
+
+test('YAML overrides shape the category around the scores', async () => {
+    const overridden = await processCategory({
+        ...packDef.categories[0],
+        id: 'nordic_overrides',
+        exclude: ['Q20'],
+        label_overrides: { Iceland: 'Ísland' },
+        alias_additions: { Q34: ['Sverige'] },
+        points_overrides: { Denmark: 50 },
+        include: [{ text: 'Faroe Islands', points: 0 }],
+        min_pageviews: 200000
+    }, { baseDir: FIXTURES_DIR });
+
+    assert.deepEqual(overridden.answers.map(a => a.text), ['Denmark', 'Finland', 'Sweden', 'Faroe Islands']);
+    const find = text => overridden.answers.find(a => a.text === text);
+    assert.equal(find('Denmark').points, 50);
+    assert.ok(find('Sweden').aliases.includes('Sverige'));
+    assert.equal(find('Faroe Islands').points, 0);
+});
+
+// Last, as it leaves failed requests behind
+test('an offline build with a cache miss writes nothing', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pack-builder-offline-'));
+    const packPath = path.join(outputDir, 'nordic-test-pack', 'pack.json');
+    fs.mkdirSync(path.dirname(packPath));
+    fs.writeFileSync(packPath, '{"title":"Good pack"}');
+
+    // The SPARQL results are cached by now, but not 60 days of pageviews
+    const yamlPath = path.join(outputDir, 'nordic.yaml');
+    const offlineDef = { ...packDef, categories: [{ ...packDef.categories[0], scoring: { ...packDef.categories[0].scoring, window_days: 60 } }] };
+    fs.writeFileSync(yamlPath, YAML.stringify(offlineDef));
+
+    configureHttp({ offline: true });
+    try {
+        await assert.rejects(buildPack(yamlPath, outputDir), /missing from the cache \(--offline\) - nothing was written/);
+        assert.equal(fs.readFileSync(packPath, 'utf8'), '{"title":"Good pack"}');
+        assert.ok(!fs.existsSync(path.join(outputDir, 'index.json')));
+    } finally {
+        configureHttp({ fetch, rateLimitMs: 0, maxRetries: 0 });
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,100 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { configureCache, getFromCache, saveToCache, listCacheEntries, getCacheStats, pruneCache, clearCache } from '../cache.js';
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pack-builder-cache-'));
+after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+beforeEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    configureCache({ dir: cacheDir });
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+// Move an entry's timestamp back, as if it was saved that many days ago
+function age(type, key, days) {
+    const file = path.join(cacheDir, type, `${sha256(key)}.json`);
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    entry.timestamp -= days * DAY_MS;
+    fs.writeFileSync(file, JSON.stringify(entry));
+}
+
+test('entries are stored under their type by a hash of the key, which is kept for listing', () => {
+    saveToCache('sparql', 'SELECT ?item', { rows: 1 });
+    saveToCache('sparql', 'SELECT ?item WHERE', { rows: 2 });
+
+    const file = path.join(cacheDir, 'sparql', `${sha256('SELECT ?item')}.json`);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).key, 'SELECT ?item');
+    assert.deepEqual(getFromCache('sparql', 'SELECT ?item'), { rows: 1 });
+    assert.deepEqual(getFromCache('sparql', 'SELECT ?item WHERE'), { rows: 2 });
+    assert.equal(getFromCache('sparql', 'SELECT'), undefined);
+    assert.equal(getFromCache('aliases', 'SELECT ?item'), undefined);
+    assert.deepEqual(listCacheEntries().map(entry => entry.key).sort(), ['SELECT ?item', 'SELECT ?item WHERE']);
+});
+
+test('null is a cached value, and a half-written entry is a miss', () => {
+    saveToCache('imageinfo', 'Missing.jpg', null);
+    assert.equal(getFromCache('imageinfo', 'Missing.jpg'), null);
+
+    fs.writeFileSync(path.join(cacheDir, 'imageinfo', `${sha256('Broken.jpg')}.json`), '{"key":"Bro');
+    assert.equal(getFromCache('imageinfo', 'Broken.jpg'), undefined);
+});
+
+test('entries expire after their own type\'s TTL, which can be overridden', () => {
+    saveToCache('sparql', 'query', 'rows');
+    saveToCache('imageinfo', 'Flag.svg', 'info');
+    age('sparql', 'query', 10);
+    age('imageinfo', 'Flag.svg', 10);
+
+    assert.equal(getFromCache('sparql', 'query'), undefined);
+    assert.equal(getFromCache('imageinfo', 'Flag.svg'), 'info');
+
+    configureCache({ dir: cacheDir, ttl: { sparql: 14, imageinfo: 5 } });
+    assert.equal(getFromCache('sparql', 'query'), 'rows');
+    assert.equal(getFromCache('imageinfo', 'Flag.svg'), undefined);
+});
+
+test('ignoreExpiry (--offline) still returns expired entries', () => {
+    saveToCache('pageviews_daily', 'Sweden', [1, 2, 3]);
+    age('pageviews_daily', 'Sweden', 365);
+    assert.equal(getFromCache('pageviews_daily', 'Sweden'), undefined);
+
+    configureCache({ dir: cacheDir, ignoreExpiry: true });
+    assert.deepEqual(getFromCache('pageviews_daily', 'Sweden'), [1, 2, 3]);
+});
+
+test('pruneCache removes expired entries and stale files, and keeps fresh ones', () => {
+    saveToCache('sparql', 'old', 'rows');
+    saveToCache('sparql', 'new', 'rows');
+    age('sparql', 'old', 8);
+    fs.writeFileSync(path.join(cacheDir, 'flat-layout-entry.json'), '{}');
+
+    const stats = getCacheStats();
+    assert.deepEqual(stats.map(({ type, entries, expired }) => ({ type, entries, expired })), [
+        { type: '(stale files)', entries: 1, expired: 1 },
+        { type: 'sparql', entries: 2, expired: 1 }
+    ]);
+
+    assert.equal(pruneCache().removed, 2);
+    assert.deepEqual(listCacheEntries().map(entry => entry.key), ['new']);
+});
+
+test('clearCache removes one type, or everything', () => {
+    saveToCache('sparql', 'query', 'rows');
+    saveToCache('aliases', 'Q35', ['DK']);
+
+    const { removed, size } = clearCache('aliases');
+    assert.equal(removed, 1);
+    assert.ok(size > 0);
+    assert.deepEqual(listCacheEntries().map(entry => entry.type), ['sparql']);
+    assert.deepEqual(listCacheEntries('aliases'), []);
+
+    assert.equal(clearCache().removed, 1);
+    assert.ok(!fs.existsSync(cacheDir));
+});
@@ -0,0 +1,140 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import '../../js/shared/rules.js';
+import '../../js/shared/pack-format.js';
+import '../../js/shared/pack-csv.js';
+import { exportCsv, importCsv, parseMapFlags } from '../csv.js';
+
+const PackCsv = globalThis.PointlessPackCsv;
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pack-builder-csv-'));
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const pack = () => ({
+    title: 'Nordic Test Pack',
+    version: 2,
+    description: 'Flags and countries',
+    categories: [
+        { id: 'countries', prompt: 'Name a Nordic country', question: 'Name any Nordic country', answers: [
+            { text: 'Denmark', points: 40, aliases: ['Kingdom of Denmark', 'DK'], wikidataId: 'Q35',
+                image: { url: 'images/flag-of-denmark.png', remoteUrl: 'https://upload.wikimedia.org/denmark.png', author: 'User:Madden', license: 'Public domain', source: 'https://commons.wikimedia.org/wiki/File:Flag_of_Denmark.svg' } },
+            { text: 'Bosnia, Herzegovina', points: 0, aliases: [] }
+        ] },
+        { id: 'anagrams', prompt: 'Unscramble a capital', type: 'anagram', answers: [
+            { text: 'Oslo', points: 55, aliases: [], scrambled: 'SOLO' }
+        ] },
+        { id: 'empty', prompt: 'Still to write', answers: [] }
+    ]
+});
+
+const parse = text => PackCsv.rowsToPack(PackCsv.parseDelimited(text));
+
+test('parseDelimited handles quotes, embedded newlines, CRLF and a byte order mark', () => {
+    assert.deepEqual(PackCsv.parseDelimited('\uFEFFa,"b, c","say ""hi"""\r\n1,"two\nlines",3\r\n'), [
+        ['a', 'b, c', 'say "hi"'],
+        ['1', 'two\nlines', '3']
+    ]);
+    assert.equal(PackCsv.detectDelimiter('a\tb,c\n'), '\t');
+    assert.equal(PackCsv.detectDelimiter('a;b;c,d\n'), ';');
+    assert.equal(PackCsv.detectDelimiter('a,b\n'), ',');
+});
+
+test('a pack survives a CSV round trip, keeping other fields from the base pack', () => {
+    const text = PackCsv.formatDelimited(PackCsv.packToRows(pack()));
+    assert.match(text, /^Category ID,Prompt,Type,Answer,Points,Aliases,Image\r\n/);
+    assert.match(text, /"Bosnia, Herzegovina"/);
+    assert.match(text, /Kingdom of Denmark \| DK/);
+
+    const { pack: imported, errors } = PackCsv.rowsToPack(PackCsv.parseDelimited(text), { base: pack() });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(imported, pack());
+});
+
+test('without a base pack only the spreadsheet columns come back', () => {
+    const { pack: imported, errors, answerCount } = parse(PackCsv.formatDelimited(PackCsv.packToRows(pack()), '\t'));
+    assert.deepEqual(errors, []);
+    assert.equal(answerCount, 3);
+    assert.deepEqual(imported.categories[0].answers[0], {
+        text: 'Denmark', points: 40, aliases: ['Kingdom of Denmark', 'DK'], image: { url: 'https://upload.wikimedia.org/denmark.png' }
+    });
+    assert.deepEqual(imported.categories[2], { id: 'empty', prompt: 'Still to write', answers: [] });
+});
+
+test('an image with a changed URL loses the old credits', () => {
+    const rows = PackCsv.packToRows(pack());
+    rows[1][6] = 'https://example.org/new-flag.png';
+    const { pack: imported } = PackCsv.rowsToPack(rows, { base: pack() });
+    assert.deepEqual(imported.categories[0].answers[0].image, { url: 'https://example.org/new-flag.png' });
+    assert.equal(imported.categories[0].answers[0].wikidataId, 'Q35');
+});
+
+test('headings are matched by name, in any order, and types by their label', () => {
+    const { pack: imported, errors } = parse('Score,Answer Text,Question Type,Category,Question,Also accept\n10,Roma,Missing Word,rome,Name a ___ Holiday,Rome; Roman\n');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(imported.categories, [
+        { id: 'rome', prompt: 'Name a ___ Holiday', type: 'missing_word', answers: [{ text: 'Roma', points: 10, aliases: ['Rome', 'Roman'] }] }
+    ]);
+});
+
+test('rows with problems are reported by spreadsheet row and left out', () => {
+    const { pack: imported, errors } = parse([
+        'Category ID,Prompt,Type,Answer,Points,Aliases,Image',
+        'fruit,Name a fruit,,Apple,50,,',
+        'fruit,Name a vegetable,,Pear,120,,',
+        'fruit,,,apple,3,,',
+        ',,,Plum,3,,',
+        '',
+        'fruit,,quiz,Kiwi,,,',
+        'flags,,picture,Denmark,20,,',
+        'veg,,,Leek,5,,'
+    ].join('\n'));
+
+    assert.deepEqual(errors.map(({ row, column }) => [row, column]), [
+        [3, 'prompt'], [3, 'points'], [4, 'answer'], [5, 'category'], [7, 'type'], [7, 'points'], [8, 'image'], [9, 'prompt']
+    ]);
+    assert.match(errors[2].message, /duplicates row 2/);
+    assert.deepEqual(imported.categories.map(c => [c.id, c.answers.length]), [['fruit', 1], ['veg', 1]]);
+});
+
+test('a missing required column stops the import', () => {
+    const { pack: imported, errors } = parse('Category,Answer\nfruit,Apple\n');
+    assert.equal(imported, null);
+    assert.equal(errors[0].message, 'No Points column');
+});
+
+test('csv import writes a valid pack, maps headings with --map and refuses problem rows', () => {
+    const csvPath = path.join(workDir, 'quiz-night.csv');
+    const packPath = path.join(workDir, 'pack.json');
+    fs.writeFileSync(csvPath, 'Round;Prompt;Country;Points\nnordic;Name a Nordic country;Norway;30\n');
+
+    const rows = PackCsv.parseDelimited(fs.readFileSync(csvPath, 'utf8'));
+    assert.throws(() => parseMapFlags(['--map=answer:Nation'], rows[0]), /no "Nation" heading/);
+
+    assert.equal(importCsv(csvPath, packPath).length, 1);
+    assert.ok(!fs.existsSync(packPath));
+
+    assert.deepEqual(importCsv(csvPath, packPath, { flags: ['--map=category:Round', '--map=answer:Country'] }), []);
+    const written = JSON.parse(fs.readFileSync(packPath, 'utf8'));
+    assert.equal(written.title, 'quiz night');
+    assert.deepEqual(written.categories[0].answers, [{ text: 'Norway', points: 30, aliases: [] }]);
+
+    const outPath = path.join(workDir, 'out.tsv');
+    exportCsv(packPath, outPath);
+    assert.equal(fs.readFileSync(outPath, 'utf8'), 'Category ID\tPrompt\tType\tAnswer\tPoints\tAliases\tImage\r\nnordic\tName a Nordic country\t\tNorway\t30\t\t\r\n');
+});
+
+test('an empty category survives a round trip through csv export and import', () => {
+    const packPath = path.join(workDir, 'with-empty', 'pack.json');
+    const csvPath = path.join(workDir, 'with-empty.csv');
+    fs.mkdirSync(path.dirname(packPath), { recursive: true });
+    fs.writeFileSync(packPath, JSON.stringify(pack()));
+
+    exportCsv(packPath, csvPath);
+    assert.deepEqual(importCsv(csvPath, packPath), []);
+    const written = JSON.parse(fs.readFileSync(packPath, 'utf8'));
+    assert.deepEqual(written.categories.map(category => category.id), ['countries', 'anagrams', 'empty']);
+    assert.deepEqual(written.categories[2], { id: 'empty', prompt: 'Still to write', answers: [] });
+});
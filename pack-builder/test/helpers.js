@@ -0,0 +1,73 @@
+/**
+ * Test helpers: replay recorded Wikidata, pageview and Commons responses
+ * (test/fixtures/*.json) through the builder's HTTP layer, so tests never touch
+ * the network.
+ *
+ * A fixture file is a list of { request, response } pairs:
+ * - request: { method, url } for GETs - or urlPrefix, for URLs with dates in
+ *   them like pageviews - and { method: 'POST', url, query } for SPARQL, where
+ *   the query is compared with whitespace collapsed
+ * - response: { status, headers, body }
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { configureHttp } from '../http.js';
+import { configureCache } from '../cache.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const collapse = text => text.replace(/\s+/g, ' ').trim();
+
+export function loadFixtures(...names) {
+    return names.flatMap(name => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8')));
+}
+
+function findFixture(fixtures, url, options) {
+    const method = options.method || 'GET';
+    const query = method === 'POST' ? new URLSearchParams(options.body).get('query') : null;
+    return fixtures.find(({ request }) => {
+        if ((request.method || 'GET') !== method) return false;
+        if (request.urlPrefix ? !url.startsWith(request.urlPrefix) : url !== request.url) return false;
+        return request.query === undefined || collapse(request.query) === collapse(query || '');
+    });
+}
+
+/**
+ * A fetch that answers from the fixtures and throws on anything unrecorded.
+ * Every request is logged to .requests.
+ */
+export function createFixtureFetch(fixtures) {
+    const requests = [];
+    const fixtureFetch = async (url, options = {}) => {
+        requests.push({ method: options.method || 'GET', url });
+        const fixture = findFixture(fixtures, url, options);
+        if (!fixture) {
+            throw new Error(`No recorded response for ${options.method || 'GET'} ${url}`);
+        }
+        const { status = 200, headers = {}, body = null } = fixture.response;
+        return new Response(body === null ? null : JSON.stringify(body), { status, headers });
+    };
+    fixtureFetch.requests = requests;
+    return fixtureFetch;
+}
+
+/**
+ * Point the builder at the given fixture files and a fresh, empty cache.
+ * No rate limiting or retries, so a missing fixture fails straight away.
+ * Returns the fixture fetch (for checking which requests were made) and a
+ * cleanup function that deletes the cache.
+ */
+export function useFixtures(...names) {
+    const fixtureFetch = createFixtureFetch(loadFixtures(...names));
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pack-builder-test-'));
+    configureHttp({ fetch: fixtureFetch, rateLimitMs: 0, maxRetries: 0 });
+    configureCache({ dir: cacheDir });
+    return {
+        fetch: fixtureFetch,
+        cleanup: () => fs.rmSync(cacheDir, { recursive: true, force: true })
+    };
+}
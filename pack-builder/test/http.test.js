@@ -0,0 +1,60 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { configureHttp, rateLimitedFetch } from '../http.js';
+
+after(() => configureHttp());
+
+/**
+ * A fetch that gives the responses in turn, logging when each call was made
+ */
+function stubFetch(...responses) {
+    const calls = [];
+    const fetch = async (url) => {
+        calls.push({ url, at: Date.now() });
+        const { status, headers = {} } = responses[Math.min(calls.length, responses.length) - 1];
+        return new Response(status === 200 ? '{}' : null, { status, headers });
+    };
+    fetch.calls = calls;
+    return fetch;
+}
+
+const gap = calls => calls[1].at - calls[0].at;
+
+test('a 429 is retried after the Retry-After the server asked for', async () => {
+    const fetch = stubFetch({ status: 429, headers: { 'Retry-After': '2' } }, { status: 200 });
+    configureHttp({ fetch, rateLimitMs: 0, maxRetries: 3 });
+
+    const response = await rateLimitedFetch('https://example.org/api');
+    assert.equal(response.status, 200);
+    assert.equal(fetch.calls.length, 2);
+    // The first backoff would be at most 1.5 seconds
+    assert.ok(gap(fetch.calls) >= 1990, `waited ${gap(fetch.calls)}ms`);
+});
+
+test('a server error without Retry-After backs off from one second', async () => {
+    const fetch = stubFetch({ status: 503 }, { status: 200 });
+    configureHttp({ fetch, rateLimitMs: 0, maxRetries: 3 });
+
+    assert.equal((await rateLimitedFetch('https://example.org/api')).status, 200);
+    assert.equal(fetch.calls.length, 2);
+    assert.ok(gap(fetch.calls) >= 990 && gap(fetch.calls) < 1900, `waited ${gap(fetch.calls)}ms`);
+});
+
+test('the last error response is returned once the retries run out, and other errors are not retried', async () => {
+    const failing = stubFetch({ status: 500, headers: { 'Retry-After': '0' } });
+    configureHttp({ fetch: failing, rateLimitMs: 0, maxRetries: 2 });
+    assert.equal((await rateLimitedFetch('https://example.org/api')).status, 500);
+    assert.equal(failing.calls.length, 3);
+
+    const missing = stubFetch({ status: 404 });
+    configureHttp({ fetch: missing, rateLimitMs: 0, maxRetries: 2 });
+    assert.equal((await rateLimitedFetch('https://example.org/api')).status, 404);
+    assert.equal(missing.calls.length, 1);
+});
+
+test('offline mode fails without sending the request', async () => {
+    const fetch = stubFetch({ status: 200 });
+    configureHttp({ fetch, offline: true });
+    await assert.rejects(rateLimitedFetch('https://example.org/api'), /not in the cache \(--offline\)/);
+    assert.equal(fetch.calls.length, 0);
+});
@@ -0,0 +1,100 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { bundleImages, bundledFileName, resizedThumbUrl } from '../images.js';
+import { getFetchFailures } from '../http.js';
+import { useFixtures } from './helpers.js';
+
+const { fetch, cleanup } = useFixtures('images.json');
+const packDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pack-builder-images-'));
+after(() => {
+    cleanup();
+    fs.rmSync(packDir, { recursive: true, force: true });
+});
+
+const DENMARK = 'https://upload.wikimedia.org/wikipedia/commons/thumb/9/9c/Flag_of_Denmark.svg/800px-Flag_of_Denmark.svg.png';
+const SWEDEN = 'https://upload.wikimedia.org/wikipedia/commons/thumb/4/4c/Flag_of_Sweden.svg/800px-Flag_of_Sweden.svg.png';
+
+function makeImage(url, name) {
+    return {
+        url,
+        fullUrl: url.replace('/thumb', '').replace(/\/[^/]+$/, ''),
+        author: 'User:Madden',
+        license: 'Public domain',
+        licenseUrl: null,
+        description: `Flag of ${name}`,
+        source: `https://commons.wikimedia.org/wiki/File:Flag%20of%20${name}.svg`
+    };
+}
+
+function makePack() {
+    const denmark = makeImage(DENMARK, 'Denmark');
+    return {
+        title: 'Nordic Test Pack',
+        categories: [
+            { id: 'countries', prompt: 'Name a Nordic country', answers: [
+                { text: 'Denmark', points: 40, image: denmark },
+                { text: 'Sweden', points: 90, image: makeImage(SWEDEN, 'Sweden') },
+                { text: 'Iceland', points: 0 }
+            ] },
+            { id: 'flags', prompt: 'Name a Nordic flag', answers: [
+                { text: 'Dannebrog', points: 10, image: { ...denmark } }
+            ] }
+        ]
+    };
+}
+
+test('resizedThumbUrl only scales Commons thumbnails down', () => {
+    assert.equal(resizedThumbUrl(DENMARK, 500), DENMARK.replace('/800px-', '/500px-'));
+    assert.equal(resizedThumbUrl(DENMARK, 1280), DENMARK);
+    assert.equal(resizedThumbUrl('https://upload.wikimedia.org/wikipedia/commons/9/9c/Flag_of_Denmark.svg', 500), 'https://upload.wikimedia.org/wikipedia/commons/9/9c/Flag_of_Denmark.svg');
+});
+
+test('bundledFileName is safe, keeps the thumbnail type and changes with the width', () => {
+    const image = makeImage(DENMARK, 'Denmark');
+    assert.match(bundledFileName(image, 500), /^flag-of-denmark-svg-[0-9a-f]{8}\.png$/);
+    assert.equal(bundledFileName(image, 500), bundledFileName({ ...image, url: 'images/x.png', remoteUrl: DENMARK }, 500));
+    assert.notEqual(bundledFileName(image, 500), bundledFileName(image, 330));
+});
+
+test('bundleImages downloads each image once and points the answers at it', async () => {
+    const pack = makePack();
+    const result = await bundleImages(pack, packDir);
+    const [denmark, sweden] = pack.categories[0].answers.map(answer => answer.image);
+    const fileName = bundledFileName(denmark, 500);
+
+    assert.deepEqual(result, { bundled: 1, downloaded: 1, failed: 1 });
+    assert.equal(denmark.url, `images/${fileName}`);
+    assert.equal(denmark.remoteUrl, DENMARK);
+    assert.equal(pack.categories[1].answers[0].image.url, `images/${fileName}`);
+    assert.equal(fs.readFileSync(path.join(packDir, 'images', fileName), 'utf8'), '"PNG image data, 500 x 378"');
+    assert.equal(fetch.requests.filter(request => request.url.includes('Denmark')).length, 1);
+
+    // Attribution is untouched, for the credits
+    assert.equal(denmark.author, 'User:Madden');
+    assert.equal(denmark.license, 'Public domain');
+    assert.equal(denmark.source, 'https://commons.wikimedia.org/wiki/File:Flag%20of%20Denmark.svg');
+
+    // Sweden's thumbnail 404s and the 800px fallback isn't an image, so it stays remote
+    assert.equal(sweden.url, SWEDEN);
+    assert.equal(sweden.remoteUrl, undefined);
+    assert.deepEqual(getFetchFailures().map(failure => failure.kind), ['bundled image']);
+    assert.match(getFetchFailures()[0].reason, /not an image/);
+});
+
+test('rebundling reuses downloaded files and removes ones no longer used', async () => {
+    const stale = path.join(packDir, 'images', 'old-flag-00000000.png');
+    fs.writeFileSync(stale, 'old');
+    const requestsBefore = fetch.requests.length;
+
+    const pack = makePack();
+    pack.categories[0].answers.splice(1, 1);
+    const result = await bundleImages(pack, packDir);
+
+    assert.deepEqual(result, { bundled: 1, downloaded: 0, failed: 0 });
+    assert.equal(fetch.requests.length, requestsBefore);
+    assert.ok(!fs.existsSync(stale));
+    assert.deepEqual(fs.readdirSync(path.join(packDir, 'images')), [bundledFileName(pack.categories[0].answers[0].image, 500)]);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    readOverrides, excludeAndRelabel, dropRarelyViewed, applyOverrides, getIncludedAnswers, findStaleOverrides
+} from '../overrides.js';
+
+const answers = () => [
+    { text: 'Denmark', wikidataId: 'Q35', aliases: [] },
+    { text: 'Norway', wikidataId: 'Q20', aliases: [] },
+    { text: 'Åland', wikidataId: 'Q5689', aliases: [] }
+];
+
+test('readOverrides rejects malformed settings', () => {
+    assert.throws(() => readOverrides({ id: 'x', exclude: 'Q1' }), /exclude should be a list/);
+    assert.throws(() => readOverrides({ id: 'x', points_overrides: { Q1: 120 } }), /should be 0-100/);
+    assert.throws(() => readOverrides({ id: 'x', label_overrides: ['Q1'] }), /should be a map/);
+    assert.throws(() => readOverrides({ id: 'x', include: [{ text: 'Extra' }] }), /include\[0\] needs a text and points/);
+    assert.throws(() => readOverrides({ id: 'x', min_pageviews: 'lots' }), /min_pageviews/);
+});
+
+test('exclude matches by QID or label, ignoring case and accents', () => {
+    const overrides = readOverrides({ id: 'x', exclude: ['Q20', 'aland'] });
+    assert.deepEqual(excludeAndRelabel(overrides, answers()).map(a => a.text), ['Denmark']);
+    assert.deepEqual(findStaleOverrides(overrides), []);
+});
+
+test('label overrides rename answers and keep the old label as an alias', () => {
+    const overrides = readOverrides({ id: 'x', label_overrides: { Q5689: 'Aland Islands' } });
+    const relabelled = excludeAndRelabel(overrides, answers());
+    assert.equal(relabelled[2].text, 'Aland Islands');
+
+    applyOverrides(overrides, relabelled);
+    assert.deepEqual(relabelled[2].aliases, ['Åland']);
+});
+
+test('alias additions and points overrides apply to the scored answers', () => {
+    const overrides = readOverrides({
+        id: 'x',
+        alias_additions: { Denmark: ['Danmark', 'denmark'], Q20: 'Norge' },
+        points_overrides: { Q20: 0 }
+    });
+    const scored = answers().map(a => ({ ...a, points: 40 }));
+    applyOverrides(overrides, scored);
+    assert.deepEqual(scored[0].aliases, ['Danmark']);
+    assert.deepEqual(scored[1].aliases, ['Norge']);
+    assert.equal(scored[1].points, 0);
+    assert.equal(scored[2].points, 40);
+});
+
+test('included answers are added unless they are already answers', () => {
+    const overrides = readOverrides({
+        id: 'x',
+        include: [{ text: 'Faroe Islands', points: 2 }, { text: 'DENMARK', points: 90 }]
+    });
+    assert.deepEqual(getIncludedAnswers(overrides, answers()), [{ aliases: [], text: 'Faroe Islands', points: 2 }]);
+});
+
+test('min_pageviews drops rarely viewed answers but keeps failed lookups', () => {
+    const overrides = readOverrides({ id: 'x', min_pageviews: 1000 });
+    const diagnostics = { Denmark: { total: 50000 }, Norway: { total: 999 } };
+    const result = dropRarelyViewed(overrides, answers(), [50000, 999, null], diagnostics, true);
+    assert.deepEqual(result.answers.map(a => a.text), ['Denmark', 'Åland']);
+    assert.deepEqual(result.popularity, [50000, null]);
+
+    const ignored = dropRarelyViewed(overrides, answers(), [1, 2, 3], {}, false);
+    assert.equal(ignored.answers.length, 3);
+});
+
+test('overrides that match no answer are reported as stale', () => {
+    const overrides = readOverrides({
+        id: 'x',
+        exclude: ['Greenland'],
+        label_overrides: { Q35: 'Kingdom of Denmark' },
+        points_overrides: { Q999: 10 }
+    });
+    const kept = excludeAndRelabel(overrides, answers());
+    applyOverrides(overrides, kept);
+    assert.deepEqual(findStaleOverrides(overrides), ['exclude: Greenland', 'points_overrides: Q999']);
+});
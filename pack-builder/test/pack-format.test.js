@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../../js/shared/rules.js';
+import '../../js/shared/pack-format.js';
+
+const PackFormat = globalThis.PointlessPackFormat;
+
+test('validatePack reports a legacy field once, not also as the missing field it replaces', () => {
+    const problems = PackFormat.validatePack({
+        name: 'Old Pack',
+        categories: [{ name: 'Old category', answers: [{ answer: 'Paris', score: 12 }] }]
+    });
+    assert.deepEqual(problems.map(({ path, message }) => `${path}: ${message}`), [
+        'name: legacy field - use "title" (migrate to convert it)',
+        'categories[0].name: legacy field - use "id/prompt" (migrate to convert it)',
+        'categories[0].answers[0].answer: legacy field - use "text" (migrate to convert it)',
+        'categories[0].answers[0].score: legacy field - use "points" (migrate to convert it)'
+    ]);
+});
+
+test('validatePack still reports a bad value next to its legacy field', () => {
+    const problems = PackFormat.validatePack({
+        title: 'Mixed Pack',
+        categories: [{ id: 'mixed', prompt: 'Name a city', answers: [{ text: '', answer: 'Paris', points: 101 }] }]
+    });
+    assert.deepEqual(problems.map(({ path }) => path), [
+        'categories[0].answers[0].answer',
+        'categories[0].answers[0].text',
+        'categories[0].answers[0].points'
+    ]);
+});
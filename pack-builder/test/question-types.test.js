@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkQuestionType, scrambleAnswer, fillTemplate, applyQuestionType } from '../question-types.js';
+
+const sortLetters = text => [...text.replace(/\s/g, '')].sort().join('');
+
+test('scrambleAnswer uses the same letters in capitals, never the answer itself', () => {
+    for (const text of ['Denmark', 'Iron Man', 'AC/DC', 'Lot']) {
+        const scrambled = scrambleAnswer(text);
+        assert.equal(sortLetters(scrambled), sortLetters(text.toUpperCase()));
+        assert.notEqual(scrambled, text.toUpperCase().replace(/\s/g, ''));
+        assert.ok(!/\s/.test(scrambled));
+    }
+});
+
+test('scrambleAnswer is the same on every build', () => {
+    assert.equal(scrambleAnswer('Czech Republic'), scrambleAnswer('Czech Republic'));
+});
+
+test('scrambleAnswer with keepWords scrambles each word in place', () => {
+    const scrambled = scrambleAnswer('United Kingdom', { keepWords: true });
+    const [first, second] = scrambled.split(' ');
+    assert.equal(sortLetters(first), sortLetters('UNITED'));
+    assert.equal(sortLetters(second), sortLetters('KINGDOM'));
+});
+
+test('scrambleAnswer leaves answers that can\'t be rearranged alone', () => {
+    assert.equal(scrambleAnswer('Q'), 'Q');
+    assert.equal(scrambleAnswer('Aaa'), 'AAA');
+});
+
+test('fillTemplate puts a gap for the answer and fills SPARQL values', () => {
+    assert.equal(fillTemplate('{answer} Street', {}), '_____ Street');
+    assert.equal(fillTemplate('{answer} Street, {city}', { city: 'London' }, '...'), '... Street, London');
+    assert.equal(fillTemplate('{answer} of {missing}', {}), '_____ of {missing}');
+});
+
+test('checkQuestionType rejects unknown types and incomplete settings', () => {
+    assert.doesNotThrow(() => checkQuestionType({ id: 'plain' }));
+    assert.throws(() => checkQuestionType({ id: 'x', type: 'jigsaw' }), /unknown type "jigsaw"/);
+    assert.throws(() => checkQuestionType({ id: 'x', type: 'picture', images: { enabled: false } }), /needs images enabled/);
+    assert.throws(() => checkQuestionType({ id: 'x', type: 'missing_word' }), /missing_word.template/);
+    assert.throws(() => checkQuestionType({ id: 'x', type: 'missing_word', missing_word: { template: 'No gap' } }), /\{answer\} gap/);
+});
+
+test('applyQuestionType adds scrambled letters to anagram answers', () => {
+    const answers = applyQuestionType({ type: 'anagram' }, [{ text: 'Paris' }, { text: 'Rome' }]);
+    assert.equal(answers.length, 2);
+    assert.ok(answers.every(answer => sortLetters(answer.scrambled) === sortLetters(answer.text.toUpperCase())));
+});
+
+test('applyQuestionType drops picture answers without an image', () => {
+    const answers = applyQuestionType({ type: 'picture' }, [{ text: 'Denmark', image: { url: 'flag.png' } }, { text: 'Finland' }]);
+    assert.deepEqual(answers.map(answer => answer.text), ['Denmark']);
+});
+
+test('applyQuestionType builds missing_word phrases from the template', () => {
+    const category = { type: 'missing_word', missing_word: { template: '{answer} Street ({borough})', gap: '___' } };
+    const answers = applyQuestionType(category, [{ text: 'Baker', values: { borough: 'Westminster' } }]);
+    assert.equal(answers[0].display, '___ Street (Westminster)');
+});
+
+test('applyQuestionType leaves standard answers alone', () => {
+    const answers = [{ text: 'Paris' }];
+    assert.deepEqual(applyQuestionType({}, answers), [{ text: 'Paris' }]);
+});
@@ -0,0 +1,228 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../../js/shared/rules.js';
+
+const Rules = globalThis.PointlessRules;
+
+const category = {
+    id: 'fruit',
+    prompt: 'Name a fruit',
+    answers: [
+        { text: 'Apple', points: 80, aliases: [] },
+        { text: 'Pear', points: 3, aliases: ['Perry'] },
+        { text: 'Peas', points: 5, aliases: [] },
+        { text: 'Kiwi', points: 20, aliases: ['Kiwifruit'] },
+        { text: 'Kiwifruit', points: 12, aliases: [] }
+    ]
+};
+
+test('matchAnswer reports the scoring match, by text, alias or typo', () => {
+    assert.deepEqual(Rules.matchAnswer(category, 'apple'),
+        { index: 0, match: { index: 0, alias: null, kind: 'exact', distance: 0, position: 0 }, ties: [] });
+    assert.equal(Rules.matchAnswer(category, 'perry').match.alias, 'Perry');
+    assert.equal(Rules.matchAnswer(category, 'aple').match.kind, 'typo');
+    assert.deepEqual(Rules.matchAnswer(category, 'aple', 'exact'), { index: -1, match: null, ties: [] });
+    assert.deepEqual(Rules.matchAnswer(category, 'mango'), { index: -1, match: null, ties: [] });
+});
+
+test('matchAnswer lists the answers a guess is ambiguous between', () => {
+    // Equally close typos score nothing
+    assert.deepEqual(Rules.matchAnswer(category, 'pead', 'very-lenient'), { index: -1, match: null, ties: [1, 2] });
+
+    // An exact tie still scores one of them - the other can never be given for that text
+    const duplicated = { answers: [{ text: 'Fig', points: 10 }, { text: 'FIG', points: 30 }] };
+    assert.deepEqual(Rules.matchAnswer(duplicated, 'fig'), { index: 0, match: { index: 0, alias: null, kind: 'exact', distance: 0, position: 0 }, ties: [1] });
+});
+
+test('matchAnswer refuses an alias shared by two answers', () => {
+    const presidents = { answers: [{ text: 'George W. Bush', aliases: ['Bush'] }, { text: 'George H. W. Bush', aliases: ['Bush'] }] };
+    assert.deepEqual(Rules.matchAnswer(presidents, 'bush'), { index: -1, match: null, ties: [1, 0] });
+    assert.equal(Rules.findAnswerIndex(presidents, 'bush', 'exact'), -1);
+});
+
+test("matchAnswer prefers an answer's own text to another answer's alias", () => {
+    assert.deepEqual(Rules.matchAnswer(category, 'kiwifruit'),
+        { index: 4, match: { index: 4, alias: null, kind: 'exact', distance: 0, position: 0 }, ties: [] });
+    assert.equal(Rules.findAnswerIndex(category, 'kiwifruit'), 4);
+});
+
+test('findAnswerIndex scores what matchAnswer reports', () => {
+    for (const input of ['apple', 'perry', 'aple', 'pead', 'kiwifruit', 'mango']) {
+        assert.equal(Rules.findAnswerIndex(category, input, 'very-lenient'), Rules.matchAnswer(category, input, 'very-lenient').index, input);
+    }
+});
+
+test('an answer typed a letter or two short scores as a typo, within the strictness level', () => {
+    const countries = { answers: [{ text: 'Kazakhstan' }, { text: 'United Kingdom', aliases: ['UK'] }, { text: 'Kenya' }] };
+    const scored = strictness => ['kazakhsta', 'united kingdo', 'united king', 'keny', 'kazakh']
+        .map(input => Rules.findAnswerIndex(countries, input, strictness));
+
+    assert.deepEqual(scored('exact'), [-1, -1, -1, -1, -1]);
+    assert.deepEqual(scored('lenient'), [0, 1, -1, 2, -1]);
+    assert.deepEqual(scored('very-lenient'), [0, 1, 1, 2, -1]);
+
+    assert.deepEqual(Rules.matchAnswer(countries, 'kazakhsta').match, { index: 0, alias: null, kind: 'typo', distance: 1, position: 0 });
+    // Too short to score, but still offered by autocomplete
+    assert.equal(Rules.rankAnswers(countries, 'kazakh')[0].kind, 'prefix');
+});
+
+const quiz = ['fruit', 'trees', 'juices', 'jams', 'pies', 'smoothies'].map(id => ({
+    id,
+    prompt: `Name a fruit used in ${id}`,
+    answers: [
+        { text: 'Apple', points: 80 },
+        { text: 'Pear', points: 3 },
+        { text: 'Peas', points: 5 },
+        { text: 'Kiwi', points: 20 },
+        { text: 'Fig', points: 0 }
+    ]
+}));
+
+/**
+ * Drive the rules the way the host screen does - a snapshot is kept before each answer for undo,
+ * and dropped once a new category starts or the final is offered
+ */
+function host(players, settings) {
+    const game = { state: Rules.createGame(players, settings), history: [], events: [] };
+
+    const dispatch = action => {
+        const result = Rules.reduce(game.state, action, { categories: quiz, random: () => 0 });
+        if (result.state === game.state) return false;
+        game.state = result.state;
+        game.events = result.events.map(event => event.type);
+        if (game.events.includes('CATEGORY_START') || game.events.includes('FINAL_CHOICE')) {
+            game.history = [];
+        }
+        return true;
+    };
+
+    game.start = () => dispatch({ type: 'START_GAME' });
+    game.next = () => dispatch({ type: 'NEXT_PLAYER' });
+    game.nextRound = () => dispatch({ type: 'NEXT_ROUND' });
+    game.chooseFinal = optionIndex => dispatch({ type: 'CHOOSE_FINAL_CATEGORY', optionIndex });
+    game.answer = (answer, ruling) => {
+        const snapshot = game.state;
+        const playerId = Rules.getCurrentPlayerId(game.state);
+        if (!dispatch({ type: 'SUBMIT_ANSWER', playerId, answer, ruling })) return false;
+        game.history.push(snapshot);
+        return true;
+    };
+    game.undo = () => {
+        if (game.history.length === 0) return false;
+        game.state = game.history.pop();
+        return true;
+    };
+    // Give the last answer again with the host's ruling on it
+    game.override = ruling => {
+        const { answer } = game.state.answerBoard.at(-1);
+        return game.undo() && game.answer(answer, ruling);
+    };
+    return game;
+}
+
+// Where the game is: phase, stage, round and whose turn it is
+const at = ({ state }) => [state.phase, state.stage, state.currentRound, Rules.getCurrentPlayerId(state)];
+
+// Each player answers in turn, the last answer is left on reveal
+function playTurns(game, answers) {
+    answers.forEach((answer, i) => {
+        if (i > 0) assert.ok(game.next());
+        assert.equal(game.state.phase, 'playing');
+        assert.ok(game.answer(answer));
+        assert.equal(game.state.phase, 'revealing');
+    });
+}
+
+test('a TV show game plays through the rounds, head-to-head and final, with undo kept within a question', () => {
+    const game = host(['a', 'b', 'c', 'd'].map(id => ({ id, name: id.toUpperCase() })), { gameMode: 'tv-show' });
+    const eliminated = () => game.state.players.filter(p => p.eliminated).map(p => p.id);
+    assert.deepEqual(at(game), ['lobby', 'rounds', 0, null]);
+
+    // Four players: two rounds to get down to the head-to-head
+    assert.ok(game.start());
+    assert.equal(game.state.totalRounds, 2);
+    assert.deepEqual(game.events, ['CATEGORY_START', 'TURN_START']);
+    assert.deepEqual(at(game), ['playing', 'rounds', 1, 'a']);
+    const outOfTurn = Rules.reduce(game.state, { type: 'SUBMIT_ANSWER', playerId: 'b', answer: 'pear' }, { categories: quiz });
+    assert.equal(outOfTurn.state, game.state, 'only the current player can answer');
+
+    playTurns(game, ['apple', 'pear', 'kiwi', null]);
+    assert.ok(game.next());
+    assert.deepEqual(at(game), ['roundEnd', 'rounds', 1, null]);
+    assert.deepEqual(eliminated(), ['d']);
+
+    // Undoing the round's last answer takes back the elimination too
+    assert.ok(game.undo());
+    assert.deepEqual(at(game), ['playing', 'rounds', 1, 'd']);
+    assert.deepEqual(eliminated(), []);
+    assert.ok(game.answer('peas'));
+    assert.ok(game.next());
+    assert.deepEqual(game.events, ['ROUND_END']);
+    assert.deepEqual(eliminated(), ['a']);
+
+    // Undo can't reach back past the start of the next category
+    const firstCategory = game.state.currentCategory;
+    assert.ok(game.nextRound());
+    assert.deepEqual(at(game), ['playing', 'rounds', 2, 'b']);
+    assert.notEqual(game.state.currentCategory, firstCategory);
+    assert.equal(game.history.length, 0);
+
+    playTurns(game, ['fig', 'apple', 'kiwi']);
+    assert.equal(game.state.jackpot, Rules.STARTING_JACKPOT + Rules.POINTLESS_BONUS);
+    assert.ok(game.undo() && game.undo() && game.undo());
+    assert.deepEqual(at(game), ['playing', 'rounds', 2, 'b']);
+    assert.equal(game.state.jackpot, Rules.STARTING_JACKPOT);
+    assert.equal(game.undo(), false);
+    assert.deepEqual(at(game), ['playing', 'rounds', 2, 'b']);
+    assert.deepEqual(game.state.players.map(p => p.score), [80, 3, 20, 5]);
+
+    playTurns(game, ['fig', 'apple', 'kiwi']);
+    assert.ok(game.next());
+    assert.deepEqual(at(game), ['roundEnd', 'rounds', 2, null]);
+    assert.deepEqual(eliminated(), ['a', 'c']);
+    assert.ok(Rules.isLastRound(game.state));
+
+    // Head-to-head: first to two questions
+    assert.ok(game.nextRound());
+    assert.deepEqual(at(game), ['playing', 'headToHead', 2, 'b']);
+    assert.deepEqual(game.state.headToHead.playerIds, ['b', 'd']);
+    playTurns(game, ['pear', 'apple']);
+    assert.ok(game.next());
+    assert.deepEqual(game.events, ['HEAD_TO_HEAD_RESULT']);
+    assert.deepEqual(at(game), ['roundEnd', 'headToHead', 2, null]);
+    assert.deepEqual(game.state.headToHead.wins, { b: 1, d: 0 });
+    assert.equal(Rules.getHeadToHeadWinnerId(game.state), null);
+
+    assert.ok(game.nextRound());
+    assert.deepEqual(at(game), ['playing', 'headToHead', 2, 'b']);
+    assert.equal(game.state.headToHead.question, 2);
+    assert.equal(game.history.length, 0);
+    playTurns(game, ['fig', 'mango']);
+
+    // The host gives the unlisted answer some points - it's revealed again with the ruling
+    assert.ok(game.override({ verdict: 'points', points: 10 }));
+    assert.deepEqual(at(game), ['revealing', 'headToHead', 2, 'd']);
+    assert.deepEqual(game.state.answerBoard.map(({ answer, score, ruling }) => [answer, score, ruling]),
+        [['Fig', 0, null], ['mango', 10, 'points']]);
+    assert.ok(game.next());
+    assert.equal(Rules.getHeadToHeadWinnerId(game.state), 'b');
+    assert.deepEqual(eliminated(), ['a', 'c', 'd']);
+
+    // Final: the winner picks a category, with nothing from the head-to-head left to undo
+    assert.ok(game.nextRound());
+    assert.deepEqual(game.events, ['FINAL_CHOICE']);
+    assert.deepEqual(at(game), ['finalChoice', 'final', 2, 'b']);
+    assert.equal(game.state.final.options.length, Rules.FINAL_CATEGORY_CHOICES);
+    assert.equal(game.undo(), false);
+    assert.equal(game.chooseFinal(Rules.FINAL_CATEGORY_CHOICES), false);
+
+    assert.ok(game.chooseFinal(0));
+    assert.deepEqual(at(game), ['playing', 'final', 2, 'b']);
+    playTurns(game, ['apple', 'pear', 'fig']);
+    assert.ok(game.next());
+    assert.deepEqual(game.events, ['GAME_END']);
+    assert.deepEqual(at(game), ['gameOver', 'final', 2, null]);
+    assert.deepEqual(game.state.final.answers.map(a => a.score), [80, 3, 0]);
+    assert.equal(game.state.final.wonJackpot, true);
+    assert.equal(game.state.jackpot, Rules.STARTING_JACKPOT + 2 * Rules.POINTLESS_BONUS);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { computeScores, normalizeLog, aggregatePageviews, loadManualValues } from '../scoring.js';
+
+// Popularity 10^n - 1 has a log popularity of exactly n
+const withPopularity = logPops => logPops.map((n, i) => ({ text: `Answer ${i + 1}`, popularity: 10 ** n - 1 }));
+const points = scored => scored.map(a => a.points);
+
+test('computeScores spreads log popularity over 0-100', () => {
+    const scored = computeScores(withPopularity([1, 2, 3, 4]));
+    assert.deepEqual(scored.map(a => a.rawScore), [0, 33, 67, 100]);
+});
+
+test('computeScores is relative to the category, not absolute popularity', () => {
+    const small = computeScores(withPopularity([1, 2, 3]));
+    const large = computeScores(withPopularity([5, 6, 7]));
+    assert.deepEqual(points(small), points(large));
+});
+
+test('computeScores keeps answer order and fields', () => {
+    const answers = [
+        { text: 'Rare', wikidataId: 'Q1', popularity: 9 },
+        { text: 'Common', wikidataId: 'Q2', popularity: 99999 }
+    ];
+    const scored = computeScores(answers);
+    assert.deepEqual(scored.map(a => [a.text, a.wikidataId]), [['Rare', 'Q1'], ['Common', 'Q2']]);
+    assert.deepEqual(points(scored), [0, 100]);
+});
+
+test('answers at or below the pointless percentile score 0', () => {
+    const answers = withPopularity([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.deepEqual(points(computeScores(answers, 10)), [0, 0, 22, 33, 44, 56, 67, 78, 89, 100]);
+    assert.deepEqual(points(computeScores(answers, 30)), [0, 0, 0, 0, 44, 56, 67, 78, 89, 100]);
+});
+
+test('the least popular answer is pointless even with a 0 percentile', () => {
+    assert.deepEqual(points(computeScores(withPopularity([1, 2, 3, 4]), 0)), [0, 33, 67, 100]);
+});
+
+test('answers whose popularity failed to load get the median points', () => {
+    const answers = [...withPopularity([1, 2, 3, 4]), { text: 'Unknown', popularity: null }];
+    const scored = computeScores(answers, 0);
+    assert.deepEqual(points(scored), [0, 33, 67, 100, 67]);
+    assert.equal(scored[4].popularityFailed, true);
+    assert.equal(scored.filter(a => a.popularityFailed).length, 1);
+});
+
+test('computeScores handles an empty category', () => {
+    assert.deepEqual(computeScores([]), []);
+});
+
+test('normalizeLog scales to 0-1 and leaves failed values null', () => {
+    assert.deepEqual(normalizeLog([0, 9, null, 99]), [0, 0.5, null, 1]);
+});
+
+test('aggregatePageviews: the median and trimmed mean resist a news spike', () => {
+    const daily = Array.from({ length: 10 }, (_, i) => ({ date: `202401${String(i + 1).padStart(2, '0')}`, views: i === 4 ? 5000 : 100 }));
+
+    const sum = aggregatePageviews(daily, 10);
+    assert.equal(sum.value, 5900);
+    assert.deepEqual(sum.outliers, [{ date: '20240105', views: 5000 }]);
+
+    assert.equal(aggregatePageviews(daily, 10, { aggregate: 'median' }).value, 100);
+    assert.equal(aggregatePageviews(daily, 10, { aggregate: 'trimmed_mean', trim: 0.1 }).value, 100);
+});
+
+test('aggregatePageviews counts days missing from the API as no views', () => {
+    const result = aggregatePageviews([{ date: '20240101', views: 30 }], 3, { aggregate: 'median' });
+    assert.equal(result.value, 0);
+    assert.equal(result.total, 30);
+});
+
+test('loadManualValues reads a quoted CSV next to the YAML, over the YAML values', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pack-builder-scoring-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'views.csv'), '\uFEFFlabel,Popularity\r\n"Bosnia, Herzegovina",12\r\n\r\nNorway,\r\nQ35,40\r\n');
+        const values = loadManualValues({ values: { Q35: 1, Sweden: 7 }, csv: 'views.csv' }, dir);
+        assert.deepEqual([...values], [['Q35', 40], ['Sweden', 7], ['Bosnia, Herzegovina', 12]]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
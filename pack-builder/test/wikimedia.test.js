@@ -0,0 +1,60 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractArticleTitle, extractCommonsFilename, getImageInfo } from '../wikimedia.js';
+import { configureHttp, getFetchFailures } from '../http.js';
+import { createFixtureFetch, useFixtures } from './helpers.js';
+
+const { fetch, cleanup } = useFixtures('commons.json');
+after(cleanup);
+
+test('extractArticleTitle decodes the title from an article URL', () => {
+    assert.equal(extractArticleTitle('https://en.wikipedia.org/wiki/C%C3%B4te_d%27Ivoire'), 'Côte d\'Ivoire');
+    assert.equal(extractArticleTitle('https://en.wikipedia.org/wiki/Mercury_(planet)'), 'Mercury (planet)');
+    assert.equal(extractArticleTitle('https://www.wikidata.org/wiki/Q35'), null);
+    assert.equal(extractArticleTitle(undefined), null);
+});
+
+test('extractCommonsFilename takes the file name from a Special:FilePath URL', () => {
+    assert.equal(extractCommonsFilename('http://commons.wikimedia.org/wiki/Special:FilePath/Flag%20of%20Denmark.svg'), 'Flag of Denmark.svg');
+    assert.equal(extractCommonsFilename('Flag of Denmark.svg'), 'Flag of Denmark.svg');
+    assert.equal(extractCommonsFilename(null), null);
+});
+
+test('getImageInfo parses attribution from Commons metadata', async () => {
+    const image = await getImageInfo('Flag of Denmark.svg');
+    assert.deepEqual(image, {
+        url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/9/9c/Flag_of_Denmark.svg/800px-Flag_of_Denmark.svg.png',
+        fullUrl: 'https://upload.wikimedia.org/wikipedia/commons/9/9c/Flag_of_Denmark.svg',
+        author: 'User:Madden',
+        license: 'Public domain',
+        licenseUrl: null,
+        description: 'Flag of Denmark',
+        source: 'https://commons.wikimedia.org/wiki/File:Flag%20of%20Denmark.svg'
+    });
+});
+
+test('getImageInfo accepts a File: prefix and uses the cache the second time', async () => {
+    const before = fetch.requests.length;
+    const image = await getImageInfo('File:Flag of Denmark.svg');
+    assert.equal(image.author, 'User:Madden');
+    assert.equal(fetch.requests.length, before);
+});
+
+test('getImageInfo caches a file Commons doesn\'t have as null', async () => {
+    assert.equal(await getImageInfo('Flag of Sweden.svg'), null);
+    const before = fetch.requests.length;
+    assert.equal(await getImageInfo('Flag of Sweden.svg'), null);
+    assert.equal(fetch.requests.length, before);
+});
+
+test('getImageInfo records a failed request and doesn\'t cache it', async () => {
+    const url = 'https://commons.wikimedia.org/w/api.php?action=query&titles=File:Broken.jpg&prop=imageinfo&iiprop=url|extmetadata&iiurlwidth=800&format=json';
+    const failing = createFixtureFetch([{ request: { method: 'GET', url }, response: { status: 503 } }]);
+    configureHttp({ fetch: failing, rateLimitMs: 0, maxRetries: 0 });
+
+    const failuresBefore = getFetchFailures().length;
+    assert.equal(await getImageInfo('Broken.jpg'), null);
+    assert.equal(await getImageInfo('Broken.jpg'), null);
+    assert.equal(failing.requests.length, 2);
+    assert.deepEqual(getFetchFailures().slice(failuresBefore)[0], { kind: 'image', subject: 'Broken.jpg', reason: 'HTTP 503' });
+});
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Pointless Pack Validator
+ *
+ * Checks pack files against the canonical format (pack-builder/pack.schema.json):
+ * field names, points from 0-100, duplicate answers, empty categories and
+ * unsupported question types. With --migrate, older shapes (name/question,
+ * answer/score, bare categories) are first rewritten in place.
+ */
+
+import fs from 'fs';
+import '../js/shared/rules.js';
+import '../js/shared/pack-format.js';
+
+const PackFormat = globalThis.PointlessPackFormat;
+
+/**
+ * Validate (and optionally migrate) one file, returning its problem count
+ */
+function validateFile(filePath, migrate) {
+    let json;
+    try {
+        // Strip a byte order mark - some packs were saved from Windows editors
+        json = JSON.parse(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+    } catch (e) {
+        console.error(`${filePath}: could not read JSON - ${e.message}`);
+        return 1;
+    }
+
+    if (migrate) {
+        const migrated = PackFormat.migratePack(json);
+        if (JSON.stringify(migrated) !== JSON.stringify(json)) {
+            fs.writeFileSync(filePath, JSON.stringify(migrated, null, 2) + '\n');
+            console.log(`${filePath}: migrated to the canonical format`);
+        }
+        json = migrated;
+    }
+
+    const problems = PackFormat.validatePack(json);
+    if (problems.length === 0) {
+        const answers = json.categories.reduce((sum, c) => sum + c.answers.length, 0);
+        const categories = json.categories.length;
+        console.log(`${filePath}: OK (${categories} categor${categories === 1 ? 'y' : 'ies'}, ${answers} answers)`);
+        return 0;
+    }
+
+    console.error(`${filePath}: ${problems.length} problem${problems.length === 1 ? '' : 's'}`);
+    for (const { path, message } of problems) {
+        console.error(`  ${path || '(pack)'}: ${message}`);
+    }
+    return problems.length;
+}
+
+// CLI
+const args = process.argv.slice(2);
+const migrate = args.includes('--migrate');
+const files = args.filter(arg => !arg.startsWith('--'));
+
+if (files.length < 1) {
+    console.log('Usage: node pack-builder/validate-pack.js [--migrate] <pack.json> [more packs...]');
+    console.log('');
+    console.log('  --migrate  Rewrite older pack shapes in the canonical format before checking');
+    console.log('');
+    console.log('Example:');
+    console.log('  node pack-builder/validate-pack.js packs/*/pack.json');
+    process.exit(1);
+}
+
+let total = 0;
+for (const file of files) {
+    total += validateFile(file, migrate);
+}
+process.exit(total > 0 ? 1 : 0);
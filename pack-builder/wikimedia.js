@@ -0,0 +1,265 @@
+/**
+ * Pointless Pack Builder Wikimedia Sources
+ *
+ * Fetches what packs are built from - SPARQL results and per-item details
+ * from Wikidata, daily pageviews from Wikipedia, and image attribution from
+ * Commons - through the request queue (./http.js) and the cache (./cache.js).
+ */
+
+import { getFromCache, saveToCache } from './cache.js';
+import { rateLimitedFetch, recordFailure, isOffline } from './http.js';
+
+// Items per per-item SPARQL lookup - keeps the VALUES list well under URL/body limits
+const ITEM_BATCH_SIZE = 200;
+
+/**
+ * Run a SPARQL query against Wikidata
+ * Pass { cache: false } when the caller caches the results itself
+ */
+export async function runSparqlQuery(sparql, { cache = true } = {}) {
+    const cached = cache ? getFromCache('sparql', sparql) : undefined;
+    if (cached !== undefined) {
+        console.log('  Using cached SPARQL results');
+        return cached;
+    }
+
+    if (isOffline()) {
+        throw new Error('SPARQL results not in the cache (--offline)');
+    }
+
+    const url = 'https://query.wikidata.org/sparql';
+    const response = await rateLimitedFetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Accept': 'application/sparql-results+json'
+        },
+        body: `query=${encodeURIComponent(sparql)}`
+    });
+
+    if (!response.ok) {
+        throw new Error(`SPARQL query failed: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (cache) {
+        saveToCache('sparql', sparql, data);
+    }
+    return data;
+}
+
+/**
+ * Look up data for each of a list of Wikidata items, in batched SPARQL queries.
+ * Results are cached per item, so an answer shared between categories is only
+ * fetched once. buildQuery gets a VALUES list ("wd:Q1 wd:Q2 ..."); collect gets
+ * each binding and the entry for its item, prefilled by emptyEntry().
+ * Returns a Map of id -> entry (items that failed to load are missing).
+ */
+async function queryWikidataItems(type, wikidataIds, buildQuery, emptyEntry, collect) {
+    const results = new Map();
+    const missing = [];
+    for (const id of wikidataIds) {
+        const cached = getFromCache(type, id);
+        if (cached !== undefined) {
+            results.set(id, cached);
+        } else {
+            missing.push(id);
+        }
+    }
+
+    for (let i = 0; i < missing.length; i += ITEM_BATCH_SIZE) {
+        const batch = missing.slice(i, i + ITEM_BATCH_SIZE);
+
+        let data;
+        try {
+            data = await runSparqlQuery(buildQuery(batch.map(id => `wd:${id}`).join(' ')), { cache: false });
+        } catch (e) {
+            recordFailure(type, `${batch.length} items (${batch[0]}...)`, e.message);
+            continue;
+        }
+
+        const found = new Map(batch.map(id => [id, emptyEntry()]));
+        for (const binding of data.results?.bindings || []) {
+            const entry = found.get(binding.item?.value?.split('/').pop());
+            if (entry) collect(binding, entry);
+        }
+        for (const [id, entry] of found) {
+            saveToCache(type, id, entry);
+            results.set(id, entry);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Fetch the English alternative labels (skos:altLabel) of Wikidata items and
+ * whether each is a person. Returns a Map of id -> { altLabels, isHuman }
+ */
+export async function getWikidataAliases(wikidataIds) {
+    return queryWikidataItems('aliases', wikidataIds,
+        values => `SELECT ?item ?alias ?human WHERE {
+  VALUES ?item { ${values} }
+  OPTIONAL { ?item skos:altLabel ?alias. FILTER(LANG(?alias) = "en") }
+  BIND(EXISTS { ?item wdt:P31 wd:Q5 } AS ?human)
+}`,
+        () => ({ altLabels: [], isHuman: false }),
+        (binding, entry) => {
+            entry.isHuman = binding.human?.value === 'true';
+            if (binding.alias?.value) {
+                entry.altLabels.push(binding.alias.value);
+            }
+        });
+}
+
+/**
+ * Fetch how many Wikimedia sites (Wikipedias in every language, Commons, ...)
+ * link to each item. Returns a Map of id -> { sitelinks }
+ */
+export async function getSitelinkCounts(wikidataIds) {
+    return queryWikidataItems('sitelinks', wikidataIds,
+        values => `SELECT ?item ?sitelinks WHERE {
+  VALUES ?item { ${values} }
+  ?item wikibase:sitelinks ?sitelinks.
+}`,
+        () => ({ sitelinks: 0 }),
+        (binding, entry) => {
+            entry.sitelinks = Number(binding.sitelinks?.value) || 0;
+        });
+}
+
+/**
+ * Find the English Wikipedia article for each Wikidata item.
+ * Returns a Map of id -> { article } (null if it has no English article)
+ */
+export async function getArticleTitles(wikidataIds) {
+    return queryWikidataItems('articles', wikidataIds,
+        values => `SELECT ?item ?article WHERE {
+  VALUES ?item { ${values} }
+  OPTIONAL { ?article schema:about ?item; schema:isPartOf <https://en.wikipedia.org/>. }
+}`,
+        () => ({ article: null }),
+        (binding, entry) => {
+            entry.article = extractArticleTitle(binding.article?.value);
+        });
+}
+
+/**
+ * Fetch daily Wikipedia pageviews for an article over the last `days` days.
+ * agent is 'all-agents' or 'user' (leaves out known bots and crawlers).
+ * Returns [{ date: 'YYYYMMDD', views }] - days with no views are missing -
+ * or null if the request failed (which isn't cached, unlike a page with no views).
+ */
+export async function getDailyPageviews(articleTitle, days = 365, agent = 'all-agents') {
+    const cacheId = `${articleTitle}_${days}_${agent}`;
+    const cached = getFromCache('pageviews_daily', cacheId);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    const endDate = new Date();
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+
+    const formatDate = (d) => d.toISOString().split('T')[0].replace(/-/g, '');
+
+    const url = `https://wikimedia.org/api/rest_v1/metrics/pageviews/per-article/en.wikipedia/all-access/${agent}/${encodeURIComponent(articleTitle)}/daily/${formatDate(startDate)}/${formatDate(endDate)}`;
+
+    try {
+        const response = await rateLimitedFetch(url);
+        // 404 means the API has no views for the article in this window
+        if (response.status === 404) {
+            saveToCache('pageviews_daily', cacheId, []);
+            return [];
+        }
+        if (!response.ok) {
+            recordFailure('pageviews', articleTitle, `HTTP ${response.status}`);
+            return null;
+        }
+        const data = await response.json();
+        const daily = (data.items || []).map(item => ({ date: item.timestamp.slice(0, 8), views: item.views }));
+        saveToCache('pageviews_daily', cacheId, daily);
+        return daily;
+    } catch (e) {
+        recordFailure('pageviews', articleTitle, e.message);
+        return null;
+    }
+}
+
+/**
+ * Get image info and attribution from Wikimedia Commons
+ */
+export async function getImageInfo(commonsFilename) {
+    if (!commonsFilename) return null;
+
+    // Extract filename from URL if needed
+    let filename = commonsFilename;
+    if (filename.includes('commons.wikimedia.org')) {
+        filename = decodeURIComponent(filename.split('/').pop());
+    }
+    if (filename.startsWith('File:')) {
+        filename = filename.substring(5);
+    }
+
+    // null is cached for files Commons doesn't have
+    const cached = getFromCache('imageinfo', filename);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    const url = `https://commons.wikimedia.org/w/api.php?action=query&titles=File:${encodeURIComponent(filename)}&prop=imageinfo&iiprop=url|extmetadata&iiurlwidth=800&format=json`;
+
+    try {
+        const response = await rateLimitedFetch(url);
+        if (!response.ok) {
+            recordFailure('image', filename, `HTTP ${response.status}`);
+            return null;
+        }
+        const data = await response.json();
+        const pages = data.query?.pages;
+        const page = pages ? Object.values(pages)[0] : null;
+        const imageinfo = page?.imageinfo?.[0];
+
+        if (!imageinfo) {
+            saveToCache('imageinfo', filename, null);
+            return null;
+        }
+
+        const meta = imageinfo.extmetadata || {};
+        const result = {
+            url: imageinfo.thumburl || imageinfo.url,
+            fullUrl: imageinfo.url,
+            author: meta.Artist?.value?.replace(/<[^>]*>/g, '') || 'Unknown',
+            license: meta.LicenseShortName?.value || 'Unknown license',
+            licenseUrl: meta.LicenseUrl?.value || null,
+            description: meta.ImageDescription?.value?.replace(/<[^>]*>/g, '') || '',
+            source: `https://commons.wikimedia.org/wiki/File:${encodeURIComponent(filename)}`
+        };
+
+        saveToCache('imageinfo', filename, result);
+        return result;
+    } catch (e) {
+        recordFailure('image', filename, e.message);
+        return null;
+    }
+}
+
+/**
+ * Extract Wikipedia article title from SPARQL result
+ */
+export function extractArticleTitle(articleUrl) {
+    if (!articleUrl) return null;
+    const match = articleUrl.match(/wikipedia\.org\/wiki\/(.+)$/);
+    return match ? decodeURIComponent(match[1].replace(/_/g, ' ')) : null;
+}
+
+/**
+ * Extract Commons filename from Wikidata image URL
+ */
+export function extractCommonsFilename(imageUrl) {
+    if (!imageUrl) return null;
+    if (imageUrl.includes('commons.wikimedia.org')) {
+        return decodeURIComponent(imageUrl.split('/').pop());
+    }
+    return imageUrl;
+}
@@ -1,13 +1,10 @@
 import type * as Party from "partykit/server";
+import "../js/shared/rules.js";
 
 // Game state interfaces
 interface Player {
   id: string;
   name: string;
-  score: number;
-  roundScores: number[];
-  eliminated: boolean;
-  eliminatedRound: number | null;
   connected: boolean;
   language: 'en' | 'pl';
   typing: boolean;
@@ -19,6 +16,7 @@ interface GameSettings {
   timerEnabled: boolean;
   timerDuration: number;
   gameMode: 'party' | 'tv-show';
+  matching?: 'exact' | 'lenient' | 'very-lenient'; // Typo tolerance when scoring answers
 }
 
 interface Category {
@@ -37,22 +35,85 @@ interface Answer {
   translations?: { [lang: string]: { text?: string } };
 }
 
+type GamePhase = 'lobby' | 'playing' | 'revealing' | 'roundEnd' | 'finalChoice' | 'gameOver';
+type GameStage = 'rounds' | 'headToHead' | 'final';
+
+type RulingVerdict = 'accept' | 'reject' | 'points';
+type Ruling =
+  | { verdict: 'accept'; answerIndex: number }
+  | { verdict: 'reject' }
+  | { verdict: 'points'; points: number };
+
+type AnswerBoardEntry = { playerId: string; playerName: string; answer: string; score: number; isCorrect: boolean; ruling: RulingVerdict | null };
+
+// Game state owned by the shared rules module (js/shared/rules.js) - plain JSON
+interface RulesPlayer {
+  id: string;
+  name: string;
+  score: number;
+  roundScores: Array<number | null>;
+  eliminated: boolean;
+  eliminatedRound: number | null;
+}
+
+interface RulesGame {
+  phase: GamePhase;
+  stage: GameStage;
+  settings: { totalRounds: number; gameMode: GameSettings['gameMode']; twoPass: boolean };
+  players: RulesPlayer[];
+  totalRounds: number;
+  currentRound: number;
+  currentCategory: number | null; // Index into pack.categories
+  answerBoard: AnswerBoardEntry[];
+  jackpot: number;
+  headToHead: { playerIds: string[]; wins: { [playerId: string]: number }; question: number } | null;
+  final: { playerId: string; options: number[]; category: number | null; answers: FinalAnswer[]; wonJackpot: boolean } | null;
+}
+
+type FinalAnswer = { answer: string; score: number };
+
+type HeadToHeadResult = { playerId: string; playerName: string; score: number };
+
+type RulesEvent =
+  | { type: 'CATEGORY_START' }
+  | { type: 'TURN_START'; playerId: string; playerName: string; pass: number }
+  | { type: 'SCORE_REVEAL'; playerId: string; playerName: string; answer: string; score: number; isCorrect: boolean; isPointless: boolean; ruling: RulingVerdict | null }
+  | { type: 'ROUND_END'; results: Array<{ playerId: string }>; eliminatedPlayerId: string | null }
+  | { type: 'HEAD_TO_HEAD_RESULT'; question: number; results: HeadToHeadResult[]; wins: { [playerId: string]: number }; questionWinnerId: string | null; matchWinnerId: string | null; eliminatedPlayerId: string | null }
+  | { type: 'FINAL_CHOICE'; playerId: string; playerName: string; options: number[]; jackpot: number }
+  | { type: 'GAME_END'; winnerIds: string[]; final: { answers: FinalAnswer[]; wonJackpot: boolean; jackpot: number } | null };
+
+type RulesAction =
+  | { type: 'START_GAME' }
+  | { type: 'SUBMIT_ANSWER'; playerId: string; answer: string | null; ruling?: Ruling }
+  | { type: 'NEXT_PLAYER' }
+  | { type: 'SKIP_TURN' }
+  | { type: 'NEXT_ROUND' }
+  | { type: 'CHOOSE_FINAL_CATEGORY'; optionIndex: number };
+
+interface PointlessRules {
+  STARTING_JACKPOT: number;
+  getCategoryPrompt(category: Category): string;
+  createGame(players: Array<{ id: string; name: string }>, settings: GameSettings): RulesGame;
+  getPlayer(game: RulesGame, playerId: string): RulesPlayer | null;
+  getCurrentPlayerId(game: RulesGame): string | null;
+  reduce(game: RulesGame, action: RulesAction, context: { categories: Category[] }): { state: RulesGame; events: RulesEvent[] };
+}
+
+// Scoring, rounds and the endgame come from the shared rules module
+const Rules = (globalThis as unknown as { PointlessRules: PointlessRules }).PointlessRules;
+
 interface GameState {
   code: string;
-  phase: 'lobby' | 'playing' | 'revealing' | 'roundEnd' | 'gameOver';
   hostId: string | null;
   players: Map<string, Player>;
   playerOrder: string[]; // Order of player IDs for turns
+  connectionPlayers: { [connectionId: string]: string }; // Reconnected players keep their original ID
   settings: GameSettings;
   pack: { title: string; categories: Category[] } | null;
-  currentRound: number;
-  currentPlayerIndex: number;
-  currentCategory: Category | null;
-  roundCategories: Category[];
-  usedAnswersThisRound: Set<string>;
-  answerBoardEntries: Array<{ playerId: string; playerName: string; answer: string; score: number; isCorrect: boolean }>;
+  game: RulesGame | null; // Set once the game starts
+  history: RulesGame[]; // Game states from before each answer this question, for UNDO
   timerRemaining: number | null;
-  jackpot: number;
 }
 
 // Message types
@@ -63,6 +124,8 @@ type HostMessage =
   | { type: 'NEXT_ROUND' }
   | { type: 'REVEAL_ANSWER'; playerId: string }
   | { type: 'UNDO' }
+  | { type: 'OVERRIDE_ANSWER'; ruling: Ruling }
+  | { type: 'CHOOSE_FINAL_CATEGORY'; optionIndex: number }
   | { type: 'KICK_PLAYER'; playerId: string };
 
 type PlayerMessage =
@@ -70,6 +133,7 @@ type PlayerMessage =
   | { type: 'SUBMIT_ANSWER'; answer: string }
   | { type: 'TYPING'; isTyping: boolean }
   | { type: 'PASS' }
+  | { type: 'CHOOSE_FINAL_CATEGORY'; optionIndex: number }
   | { type: 'SET_LANGUAGE'; language: 'en' | 'pl' };
 
 type ServerMessage =
@@ -80,9 +144,12 @@ type ServerMessage =
   | { type: 'PLAYER_TYPING'; playerId: string; isTyping: boolean }
   | { type: 'ANSWER_SUBMITTED'; playerId: string }
   | { type: 'TURN_START'; playerId: string; playerName: string; timerDuration: number | null }
-  | { type: 'SCORE_REVEAL'; playerId: string; playerName: string; answer: string; score: number; isCorrect: boolean; isPointless: boolean }
-  | { type: 'ROUND_END'; standings: ClientPlayer[]; eliminatedPlayerId?: string }
-  | { type: 'GAME_END'; winner: ClientPlayer; standings: ClientPlayer[] }
+  | { type: 'SCORE_REVEAL'; playerId: string; playerName: string; answer: string; score: number; isCorrect: boolean; isPointless: boolean; ruling?: RulingVerdict | null; isReplay?: boolean }
+  | { type: 'ANSWER_UNDONE'; playerId: string | null }
+  | { type: 'ROUND_END'; standings: ClientPlayer[]; eliminatedPlayerId: string | null }
+  | { type: 'HEAD_TO_HEAD_RESULT'; question: number; results: HeadToHeadResult[]; wins: { [playerId: string]: number }; questionWinnerId: string | null; matchWinnerId: string | null; eliminatedPlayerId: string | null }
+  | { type: 'FINAL_CHOICE'; playerId: string; playerName: string; options: string[]; jackpot: number }
+  | { type: 'GAME_END'; winner: ClientPlayer; standings: ClientPlayer[]; final?: { answers: FinalAnswer[]; wonJackpot: boolean; jackpot: number } }
   | { type: 'ERROR'; message: string };
 
 // Client-safe versions (no answer data exposed)
@@ -90,7 +157,7 @@ interface ClientPlayer {
   id: string;
   name: string;
   score: number;
-  roundScores: number[];
+  roundScores: Array<number | null>;
   eliminated: boolean;
   connected: boolean;
   language: 'en' | 'pl';
@@ -107,7 +174,7 @@ interface ClientCategory {
 
 interface ClientGameState {
   code: string;
-  phase: GameState['phase'];
+  phase: GamePhase;
   players: ClientPlayer[];
   playerOrder: string[];
   settings: GameSettings;
@@ -116,10 +183,14 @@ interface ClientGameState {
   totalRounds: number;
   currentPlayerIndex: number;
   currentPlayerId: string | null;
+  categoryIndex: number | null; // The host looks answers up in its own copy of the pack
   currentCategory: ClientCategory | null;
-  answerBoardEntries: GameState['answerBoardEntries'];
+  answerBoardEntries: AnswerBoardEntry[];
   timerRemaining: number | null;
   jackpot: number;
+  stage: GameStage;
+  headToHead: { playerIds: string[]; wins: { [playerId: string]: number }; question: number } | null;
+  final: { playerId: string; options: string[]; chosen: boolean; answers: FinalAnswer[]; wonJackpot: boolean } | null;
 }
 
 function generateRoomCode(): string {
@@ -129,16 +200,6 @@ function generateRoomCode(): string {
   ).join('');
 }
 
-function normalizeAnswer(text: string): string {
-  return text
-    .toLowerCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '')
-    .replace(/[^a-z0-9\s]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
 export default class PointlessServer implements Party.Server {
   state: GameState;
   timerInterval: ReturnType<typeof setInterval> | null = null;
@@ -150,25 +211,21 @@ export default class PointlessServer implements Party.Server {
   createInitialState(): GameState {
     return {
       code: this.room.id,
-      phase: 'lobby',
       hostId: null,
       players: new Map(),
       playerOrder: [],
+      connectionPlayers: {},
       settings: {
         totalRounds: 5,
         timerEnabled: false,
         timerDuration: 30,
-        gameMode: 'party'
+        gameMode: 'party',
+        matching: 'lenient'
       },
       pack: null,
-      currentRound: 0,
-      currentPlayerIndex: 0,
-      currentCategory: null,
-      roundCategories: [],
-      usedAnswersThisRound: new Set(),
-      answerBoardEntries: [],
-      timerRemaining: null,
-      jackpot: 1000
+      game: null,
+      history: [],
+      timerRemaining: null
     };
   }
 
@@ -180,7 +237,7 @@ export default class PointlessServer implements Party.Server {
         this.state = {
           ...parsed,
           players: new Map(parsed.players),
-          usedAnswersThisRound: new Set(parsed.usedAnswersThisRound)
+          history: parsed.history ?? []
         };
       } catch (e) {
         console.error('Failed to restore state:', e);
@@ -195,24 +252,18 @@ export default class PointlessServer implements Party.Server {
     const language = (url.searchParams.get('language') as 'en' | 'pl') || 'en';
     const reconnectId = url.searchParams.get('reconnectId');
 
-    // Handle reconnection
+    // Handle reconnection - the player keeps their ID so the game still knows them
     if (reconnectId && this.state.players.has(reconnectId)) {
       const existingPlayer = this.state.players.get(reconnectId)!;
       existingPlayer.connected = true;
-      // Update connection mapping
-      this.state.players.delete(reconnectId);
-      this.state.players.set(connection.id, existingPlayer);
-      // Update player order
-      const orderIndex = this.state.playerOrder.indexOf(reconnectId);
-      if (orderIndex !== -1) {
-        this.state.playerOrder[orderIndex] = connection.id;
-      }
+      this.state.connectionPlayers[connection.id] = reconnectId;
       this.sendToConnection(connection, {
         type: 'STATE_SYNC',
         state: this.getClientState(),
-        yourId: connection.id
+        yourId: reconnectId
       });
       this.broadcastState();
+      await this.persistState();
       return;
     }
 
@@ -227,10 +278,6 @@ export default class PointlessServer implements Party.Server {
       const player: Player = {
         id: connection.id,
         name: name,
-        score: 0,
-        roundScores: [],
-        eliminated: false,
-        eliminatedRound: null,
         connected: true,
         language: language,
         typing: false,
@@ -271,6 +318,7 @@ export default class PointlessServer implements Party.Server {
 
   async handleMessage(msg: HostMessage | PlayerMessage, sender: Party.Connection) {
     const isHost = sender.id === this.state.hostId;
+    const playerId = this.getPlayerId(sender);
 
     switch (msg.type) {
       case 'CREATE_GAME':
@@ -283,14 +331,14 @@ export default class PointlessServer implements Party.Server {
         break;
 
       case 'START_GAME':
-        if (isHost && this.state.phase === 'lobby' && this.state.players.size >= 1) {
+        if (isHost && !this.state.game && this.state.players.size >= 1) {
           this.startGame();
         }
         break;
 
       case 'JOIN_GAME':
         // Already handled in onConnect, but can update name/language
-        const joiningPlayer = this.state.players.get(sender.id);
+        const joiningPlayer = this.state.players.get(playerId);
         if (joiningPlayer) {
           joiningPlayer.name = msg.name;
           joiningPlayer.language = msg.language;
@@ -299,39 +347,63 @@ export default class PointlessServer implements Party.Server {
         break;
 
       case 'SUBMIT_ANSWER':
-        await this.handleAnswerSubmission(sender.id, msg.answer);
+        this.handleAnswerSubmission(playerId, msg.answer);
         break;
 
       case 'TYPING':
-        const typingPlayer = this.state.players.get(sender.id);
+        const typingPlayer = this.state.players.get(playerId);
         if (typingPlayer) {
           typingPlayer.typing = msg.isTyping;
           this.broadcast({
             type: 'PLAYER_TYPING',
-            playerId: sender.id,
+            playerId,
             isTyping: msg.isTyping
           });
         }
         break;
 
       case 'PASS':
-        await this.handleAnswerSubmission(sender.id, null);
+        this.handleAnswerSubmission(playerId, null);
         break;
 
       case 'NEXT_PLAYER':
         if (isHost) {
-          this.nextPlayer();
+          this.dispatch({ type: 'NEXT_PLAYER' });
         }
         break;
 
       case 'NEXT_ROUND':
         if (isHost) {
-          this.nextRound();
+          this.dispatch({ type: 'NEXT_ROUND' });
+        }
+        break;
+
+      case 'UNDO':
+        if (isHost) {
+          this.undoLastAnswer();
+        }
+        break;
+
+      case 'OVERRIDE_ANSWER':
+        if (isHost) {
+          this.overrideLastAnswer(msg.ruling);
+        }
+        break;
+
+      case 'REVEAL_ANSWER':
+        if (isHost) {
+          this.revealAnswer(msg.playerId);
+        }
+        break;
+
+      case 'CHOOSE_FINAL_CATEGORY':
+        if (isHost || playerId === this.state.game?.final?.playerId) {
+          this.dispatch({ type: 'CHOOSE_FINAL_CATEGORY', optionIndex: msg.optionIndex });
         }
         break;
 
       case 'SET_LANGUAGE':
-        const langPlayer = this.state.players.get(sender.id);
+        const langPlayer = this.state.players.get(playerId);
         if (langPlayer) {
           langPlayer.language = msg.language;
           this.broadcastState();
@@ -347,6 +419,15 @@ export default class PointlessServer implements Party.Server {
         }
         break;
     }
+
+    // Typing indicators are too chatty to store
+    if (msg.type !== 'TYPING') {
+      await this.persistState();
+    }
+  }
+
+  getPlayerId(connection: Party.Connection): string {
+    return this.state.connectionPlayers[connection.id] ?? connection.id;
   }
 
   startGame() {
@@ -354,57 +435,177 @@ export default class PointlessServer implements Party.Server {
       return;
     }
 
-    // Select random categories for rounds
-    const shuffled = [...this.state.pack.categories].sort(() => Math.random() - 0.5);
-    this.state.roundCategories = shuffled.slice(0, this.state.settings.totalRounds);
-
-    this.state.phase = 'playing';
-    this.state.currentRound = 1;
-    this.state.currentPlayerIndex = 0;
-    this.state.jackpot = 1000;
-
-    // Initialize player round scores
-    for (const player of this.state.players.values()) {
-      player.score = 0;
-      player.roundScores = [];
-      player.eliminated = false;
-      player.eliminatedRound = null;
-    }
+    const players = this.state.playerOrder
+      .map(id => this.state.players.get(id))
+      .filter((p): p is Player => Boolean(p))
+      .map(p => ({ id: p.id, name: p.name }));
 
-    this.startRound();
+    this.state.game = Rules.createGame(players, this.state.settings);
+    this.dispatch({ type: 'START_GAME' });
   }
 
-  startRound() {
-    this.state.currentCategory = this.state.roundCategories[this.state.currentRound - 1];
-    this.state.usedAnswersThisRound = new Set();
-    this.state.answerBoardEntries = [];
-    this.state.currentPlayerIndex = 0;
+  // Apply an action to the game rules, relay the resulting events and resync clients
+  dispatch(action: RulesAction): boolean {
+    if (!this.state.game || !this.state.pack) return false;
 
-    // Reset player states for new round
-    for (const player of this.state.players.values()) {
-      player.typing = false;
-      player.submittedAnswer = null;
+    const result = Rules.reduce(this.state.game, action, { categories: this.state.pack.categories });
+    if (result.state === this.state.game) return false;
+
+    // Keep the game as it was before each answer so the host can undo it
+    if (action.type === 'SUBMIT_ANSWER') {
+      this.state.history.push(this.state.game);
     }
 
+    this.state.game = result.state;
+    for (const event of result.events) {
+      this.handleGameEvent(event);
+    }
     this.broadcastState();
-    this.startPlayerTurn();
+    return true;
   }
 
-  startPlayerTurn() {
-    const currentPlayerId = this.getCurrentPlayerId();
-    if (!currentPlayerId) return;
-
-    const player = this.state.players.get(currentPlayerId);
-    if (!player) return;
-
-    // Skip eliminated players
-    if (player.eliminated) {
-      this.state.currentPlayerIndex++;
-      if (this.state.currentPlayerIndex < this.state.playerOrder.length) {
-        this.startPlayerTurn();
-      } else {
-        this.endRound();
+  // Roll back the last answer this question (scores, board, used answers, jackpot) and replay that turn
+  undoLastAnswer() {
+    if (!this.state.game || this.state.history.length === 0) return;
+
+    this.clearTimer();
+    this.state.game = this.state.history.pop()!;
+    const playerId = this.getCurrentPlayerId();
+
+    this.broadcast({ type: 'ANSWER_UNDONE', playerId });
+    if (playerId) {
+      this.startPlayerTurn(playerId);
+    }
+    this.broadcastState();
+  }
+
+  // Replace the last answer with the host's ruling on it: accept as a listed answer, reject, or custom points
+  overrideLastAnswer(ruling: Ruling) {
+    const game = this.state.game;
+    if (!game || this.state.history.length === 0 || !ruling) return;
+
+    const entry = game.answerBoard[game.answerBoard.length - 1];
+    const previous = this.state.history.pop()!;
+    this.clearTimer();
+    this.state.game = previous;
+
+    if (!this.dispatch({ type: 'SUBMIT_ANSWER', playerId: entry.playerId, answer: entry.answer, ruling })) {
+      // Invalid ruling - put everything back
+      this.state.history.push(previous);
+      this.state.game = game;
+    }
+  }
+
+  // Show a player's latest answer this question again
+  revealAnswer(playerId: string) {
+    const entry = this.state.game && [...this.state.game.answerBoard].reverse().find(e => e.playerId === playerId);
+    if (!entry) return;
+
+    this.broadcast({
+      type: 'SCORE_REVEAL',
+      playerId,
+      playerName: entry.playerName,
+      answer: entry.answer,
+      score: entry.score,
+      isCorrect: entry.isCorrect,
+      isPointless: entry.isCorrect && entry.score === 0,
+      ruling: entry.ruling,
+      isReplay: true
+    });
+  }
+
+  handleGameEvent(event: RulesEvent) {
+    switch (event.type) {
+      case 'CATEGORY_START':
+        // Undo only reaches back within the current question
+        this.state.history = [];
+
+        // Reset player states for the new category
+        for (const player of this.state.players.values()) {
+          player.typing = false;
+          player.submittedAnswer = null;
+        }
+        break;
+
+      case 'TURN_START':
+        this.startPlayerTurn(event.playerId);
+        break;
+
+      case 'SCORE_REVEAL': {
+        this.clearTimer();
+        const player = this.state.players.get(event.playerId);
+        if (player) {
+          player.submittedAnswer = event.answer;
+        }
+        this.broadcast({
+          type: 'SCORE_REVEAL',
+          playerId: event.playerId,
+          playerName: event.playerName,
+          answer: event.answer,
+          score: event.score,
+          isCorrect: event.isCorrect,
+          isPointless: event.isPointless,
+          ruling: event.ruling
+        });
+        break;
+      }
+
+      case 'ROUND_END':
+        this.clearTimer();
+        this.broadcast({
+          type: 'ROUND_END',
+          standings: this.getStandings(event.results.map(r => r.playerId)),
+          eliminatedPlayerId: event.eliminatedPlayerId
+        });
+        break;
+
+      case 'HEAD_TO_HEAD_RESULT':
+        this.clearTimer();
+        this.broadcast({
+          type: 'HEAD_TO_HEAD_RESULT',
+          question: event.question,
+          results: event.results,
+          wins: event.wins,
+          questionWinnerId: event.questionWinnerId,
+          matchWinnerId: event.matchWinnerId,
+          eliminatedPlayerId: event.eliminatedPlayerId
+        });
+        break;
+
+      case 'FINAL_CHOICE':
+        // The final's categories haven't been played yet - nothing to undo
+        this.state.history = [];
+        this.broadcast({
+          type: 'FINAL_CHOICE',
+          playerId: event.playerId,
+          playerName: event.playerName,
+          options: event.options.map(i => Rules.getCategoryPrompt(this.state.pack!.categories[i])),
+          jackpot: event.jackpot
+        });
+        break;
+
+      case 'GAME_END': {
+        this.clearTimer();
+        this.state.history = [];
+        const standings = this.getStandings(this.state.game!.players.map(p => p.id));
+        this.broadcast({
+          type: 'GAME_END',
+          winner: standings.find(p => p.id === event.winnerIds[0]) || standings[0],
+          standings,
+          final: event.final || undefined
+        });
+        break;
       }
+    }
+  }
+
+  startPlayerTurn(playerId: string) {
+    this.clearTimer();
+
+    // Skip players who have left or disconnected
+    const player = this.state.players.get(playerId);
+    if (!player || !player.connected) {
+      this.dispatch({ type: 'SKIP_TURN' });
       return;
     }
 
@@ -419,12 +620,10 @@ export default class PointlessServer implements Party.Server {
 
     this.broadcast({
       type: 'TURN_START',
-      playerId: currentPlayerId,
+      playerId,
       playerName: player.name,
       timerDuration: this.state.settings.timerEnabled ? this.state.settings.timerDuration : null
     });
-
-    this.broadcastState();
   }
 
   startTimer() {
@@ -452,191 +651,38 @@ export default class PointlessServer implements Party.Server {
   }
 
   getCurrentPlayerId(): string | null {
-    if (this.state.currentPlayerIndex >= this.state.playerOrder.length) {
-      return null;
-    }
-    return this.state.playerOrder[this.state.currentPlayerIndex];
+    return this.state.game ? Rules.getCurrentPlayerId(this.state.game) : null;
   }
 
-  async handleAnswerSubmission(playerId: string, answer: string | null) {
-    const currentPlayerId = this.getCurrentPlayerId();
-    if (playerId !== currentPlayerId) {
-      return; // Not their turn
-    }
-
-    const player = this.state.players.get(playerId);
-    if (!player) return;
-
-    this.clearTimer();
-    player.typing = false;
-
-    let score = 100;
-    let isCorrect = false;
-    let displayAnswer = answer || 'PASS';
-    let isPointless = false;
-
-    if (answer && this.state.currentCategory) {
-      const normalizedInput = normalizeAnswer(answer);
-
-      // Check if already used this round
-      if (this.state.usedAnswersThisRound.has(normalizedInput)) {
-        score = 100;
-        isCorrect = false;
-      } else {
-        // Find matching answer
-        const matchedAnswer = this.findAnswer(normalizedInput);
-        if (matchedAnswer) {
-          score = matchedAnswer.points;
-          isCorrect = true;
-          displayAnswer = matchedAnswer.text;
-          isPointless = score === 0;
-          this.state.usedAnswersThisRound.add(normalizedInput);
-
-          if (isPointless) {
-            this.state.jackpot += 250;
-          }
-        }
-      }
-    }
-
-    // Update player score
-    player.score += score;
-    player.roundScores[this.state.currentRound - 1] = (player.roundScores[this.state.currentRound - 1] || 0) + score;
-    player.submittedAnswer = displayAnswer;
-
-    // Add to answer board
-    this.state.answerBoardEntries.push({
-      playerId,
-      playerName: player.name,
-      answer: displayAnswer,
-      score,
-      isCorrect
-    });
-
-    // Broadcast score reveal
-    this.broadcast({
-      type: 'SCORE_REVEAL',
-      playerId,
-      playerName: player.name,
-      answer: displayAnswer,
-      score,
-      isCorrect,
-      isPointless
-    });
-
-    this.state.phase = 'revealing';
-    await this.persistState();
-    this.broadcastState();
+  getCurrentCategory(): Category | null {
+    const game = this.state.game;
+    if (!game || game.currentCategory === null || !this.state.pack) return null;
+    return this.state.pack.categories[game.currentCategory];
   }
 
-  findAnswer(normalizedInput: string): Answer | null {
-    if (!this.state.currentCategory) return null;
-
-    for (const answer of this.state.currentCategory.answers) {
-      if (normalizeAnswer(answer.text) === normalizedInput) {
-        return answer;
-      }
-      if (answer.aliases) {
-        for (const alias of answer.aliases) {
-          if (normalizeAnswer(alias) === normalizedInput) {
-            return answer;
-          }
-        }
-      }
-    }
-    return null;
-  }
-
-  nextPlayer() {
-    this.state.phase = 'playing';
-    this.state.currentPlayerIndex++;
-
-    // Find next non-eliminated player
-    while (
-      this.state.currentPlayerIndex < this.state.playerOrder.length &&
-      this.state.players.get(this.state.playerOrder[this.state.currentPlayerIndex])?.eliminated
-    ) {
-      this.state.currentPlayerIndex++;
-    }
-
-    if (this.state.currentPlayerIndex >= this.state.playerOrder.length) {
-      this.endRound();
-    } else {
-      this.startPlayerTurn();
-    }
-  }
-
-  endRound() {
-    this.state.phase = 'roundEnd';
-    this.clearTimer();
-
-    const activePlayers = Array.from(this.state.players.values()).filter(p => !p.eliminated);
-    const standings = activePlayers
-      .map(p => this.toClientPlayer(p))
-      .sort((a, b) => a.score - b.score);
-
-    let eliminatedPlayerId: string | undefined;
-
-    // TV show mode: eliminate highest scorer this round
-    if (this.state.settings.gameMode === 'tv-show' && activePlayers.length > 1) {
-      const roundScores = activePlayers.map(p => ({
-        player: p,
-        roundScore: p.roundScores[this.state.currentRound - 1] || 0
-      }));
-      roundScores.sort((a, b) => b.roundScore - a.roundScore);
-
-      const eliminated = roundScores[0].player;
-      eliminated.eliminated = true;
-      eliminated.eliminatedRound = this.state.currentRound;
-      eliminatedPlayerId = eliminated.id;
-    }
-
-    this.broadcast({
-      type: 'ROUND_END',
-      standings,
-      eliminatedPlayerId
-    });
-
-    this.broadcastState();
-  }
-
-  nextRound() {
-    const activePlayers = Array.from(this.state.players.values()).filter(p => !p.eliminated);
-
-    if (this.state.currentRound >= this.state.settings.totalRounds || activePlayers.length <= 1) {
-      this.endGame();
-    } else {
-      this.state.currentRound++;
-      this.startRound();
+  handleAnswerSubmission(playerId: string, answer: string | null) {
+    const player = this.state.players.get(playerId);
+    if (player) {
+      player.typing = false;
     }
-  }
-
-  endGame() {
-    this.state.phase = 'gameOver';
-    this.clearTimer();
-
-    const allPlayers = Array.from(this.state.players.values())
-      .map(p => this.toClientPlayer(p))
-      .sort((a, b) => a.score - b.score);
-
-    const winner = allPlayers[0];
-
-    this.broadcast({
-      type: 'GAME_END',
-      winner,
-      standings: allPlayers
-    });
 
-    this.broadcastState();
+    this.dispatch({ type: 'SUBMIT_ANSWER', playerId, answer });
   }
 
   async onClose(connection: Party.Connection) {
-    const player = this.state.players.get(connection.id);
+    const playerId = this.getPlayerId(connection);
+    const player = this.state.players.get(playerId);
     if (player) {
       player.connected = false;
-      this.broadcast({ type: 'PLAYER_LEFT', playerId: connection.id });
+      this.broadcast({ type: 'PLAYER_LEFT', playerId });
       this.broadcastState();
+
+      // If this player was the current player and game is in progress, auto-pass
+      if (this.state.game?.phase === 'playing' && this.getCurrentPlayerId() === playerId) {
+        this.handleAnswerSubmission(playerId, null);
+      }
     }
+    delete this.state.connectionPlayers[connection.id];
 
     if (connection.id === this.state.hostId) {
       // Host disconnected - game pauses but keeps state
@@ -647,12 +693,13 @@ export default class PointlessServer implements Party.Server {
   }
 
   toClientPlayer(player: Player): ClientPlayer {
+    const record = this.state.game ? Rules.getPlayer(this.state.game, player.id) : null;
     return {
       id: player.id,
       name: player.name,
-      score: player.score,
-      roundScores: player.roundScores,
-      eliminated: player.eliminated,
+      score: record?.score ?? 0,
+      roundScores: record?.roundScores ?? [],
+      eliminated: record?.eliminated ?? false,
       connected: player.connected,
       language: player.language,
       typing: player.typing,
@@ -660,27 +707,54 @@ export default class PointlessServer implements Party.Server {
     };
   }
 
+  // Client players for the given IDs, lowest score first
+  getStandings(playerIds: string[]): ClientPlayer[] {
+    return playerIds
+      .map(id => this.state.players.get(id))
+      .filter((p): p is Player => Boolean(p))
+      .map(p => this.toClientPlayer(p))
+      .sort((a, b) => a.score - b.score);
+  }
+
   getClientState(): ClientGameState {
+    const game = this.state.game;
+    const currentPlayerId = this.getCurrentPlayerId();
+    const category = this.getCurrentCategory();
+
     return {
       code: this.state.code,
-      phase: this.state.phase,
+      phase: game ? game.phase : 'lobby',
       players: Array.from(this.state.players.values()).map(p => this.toClientPlayer(p)),
       playerOrder: this.state.playerOrder,
       settings: this.state.settings,
       packTitle: this.state.pack?.title || null,
-      currentRound: this.state.currentRound,
-      totalRounds: this.state.settings.totalRounds,
-      currentPlayerIndex: this.state.currentPlayerIndex,
-      currentPlayerId: this.getCurrentPlayerId(),
-      currentCategory: this.state.currentCategory ? {
-        prompt: this.state.currentCategory.prompt,
-        question: this.state.currentCategory.question,
-        type: this.state.currentCategory.type,
-        translations: this.state.currentCategory.translations
+      currentRound: game ? game.currentRound : 0,
+      totalRounds: game ? game.totalRounds : this.state.settings.totalRounds,
+      currentPlayerIndex: currentPlayerId ? this.state.playerOrder.indexOf(currentPlayerId) : -1,
+      currentPlayerId,
+      categoryIndex: game ? game.currentCategory : null,
+      currentCategory: category ? {
+        prompt: Rules.getCategoryPrompt(category),
+        question: category.question,
+        type: category.type,
+        translations: category.translations
       } : null,
-      answerBoardEntries: this.state.answerBoardEntries,
+      answerBoardEntries: game ? game.answerBoard : [],
       timerRemaining: this.state.timerRemaining,
-      jackpot: this.state.jackpot
+      jackpot: game ? game.jackpot : Rules.STARTING_JACKPOT,
+      stage: game ? game.stage : 'rounds',
+      headToHead: game?.headToHead ? {
+        playerIds: game.headToHead.playerIds,
+        wins: game.headToHead.wins,
+        question: game.headToHead.question
+      } : null,
+      final: game?.final ? {
+        playerId: game.final.playerId,
+        options: game.final.options.map(i => Rules.getCategoryPrompt(this.state.pack!.categories[i])),
+        chosen: game.final.category !== null,
+        answers: game.final.answers,
+        wonJackpot: game.final.wonJackpot
+      } : null
     };
   }
 
@@ -697,7 +771,7 @@ export default class PointlessServer implements Party.Server {
       connection.send(JSON.stringify({
         type: 'STATE_SYNC',
         state,
-        yourId: connection.id
+        yourId: this.getPlayerId(connection)
       }));
     }
   }
@@ -709,8 +783,7 @@ export default class PointlessServer implements Party.Server {
   async persistState() {
     const serializable = {
       ...this.state,
-      players: Array.from(this.state.players.entries()),
-      usedAnswersThisRound: Array.from(this.state.usedAnswersThisRound)
+      players: Array.from(this.state.players.entries())
     };
     await this.room.storage.put('state', JSON.stringify(serializable));
   }
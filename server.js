@@ -4,6 +4,10 @@
  */
 
 import { WebSocketServer, WebSocket } from 'ws';
+import './js/shared/rules.js';
+
+// Scoring, rounds and the endgame come from the shared rules module
+const Rules = globalThis.PointlessRules;
 
 const PORT = process.env.PORT || 3000;
 
@@ -22,22 +26,10 @@ function generateRoomCode() {
     ).join('');
 }
 
-// Normalize answer for matching
-function normalizeAnswer(text) {
-    return text
-        .toLowerCase()
-        .normalize('NFD')
-        .replace(/[\u0300-\u036f]/g, '')
-        .replace(/[^a-z0-9\s]/g, '')
-        .replace(/\s+/g, ' ')
-        .trim();
-}
-
-// Create initial game state
+// Create initial room state - the game itself lives in `game` once started
 function createInitialState(code) {
     return {
         code,
-        phase: 'lobby',
         hostId: null,
         players: new Map(),
         playerOrder: [],
@@ -45,28 +37,24 @@ function createInitialState(code) {
             totalRounds: 5,
             timerEnabled: false,
             timerDuration: 30,
-            gameMode: 'party'
+            gameMode: 'party',
+            matching: 'lenient'
         },
         pack: null,
-        currentRound: 0,
-        currentPlayerIndex: 0,
-        currentCategory: null,
-        roundCategories: [],
-        usedAnswersThisRound: new Set(),
-        answerBoardEntries: [],
-        timerRemaining: null,
-        jackpot: 1000
+        game: null,
+        timerRemaining: null
     };
 }
 
-// Convert player to client-safe version
-function toClientPlayer(player) {
+// Convert player to client-safe version, with their scores from the game
+function toClientPlayer(state, player) {
+    const record = state.game ? Rules.getPlayer(state.game, player.id) : null;
     return {
         id: player.id,
         name: player.name,
-        score: player.score,
-        roundScores: player.roundScores,
-        eliminated: player.eliminated,
+        score: record?.score ?? 0,
+        roundScores: record?.roundScores ?? [],
+        eliminated: record?.eliminated ?? false,
         connected: player.connected,
         language: player.language,
         typing: player.typing,
@@ -76,34 +64,54 @@ function toClientPlayer(player) {
 
 // Get client-safe state
 function getClientState(state) {
+    const game = state.game;
+    const currentPlayerId = getCurrentPlayerId(state);
+    const category = getCurrentCategory(state);
+
     return {
         code: state.code,
-        phase: state.phase,
-        players: Array.from(state.players.values()).map(p => toClientPlayer(p)),
+        phase: game ? game.phase : 'lobby',
+        players: Array.from(state.players.values()).map(p => toClientPlayer(state, p)),
         playerOrder: state.playerOrder,
         settings: state.settings,
         packTitle: state.pack?.title || state.pack?.name || null,
-        currentRound: state.currentRound,
-        totalRounds: state.settings.totalRounds,
-        currentPlayerIndex: state.currentPlayerIndex,
-        currentPlayerId: getCurrentPlayerId(state),
-        currentCategory: state.currentCategory ? {
-            prompt: state.currentCategory.prompt || state.currentCategory.question || state.currentCategory.name,
-            question: state.currentCategory.question,
-            type: state.currentCategory.type,
-            translations: state.currentCategory.translations
+        currentRound: game ? game.currentRound : 0,
+        totalRounds: game ? game.totalRounds : state.settings.totalRounds,
+        currentPlayerIndex: state.playerOrder.indexOf(currentPlayerId),
+        currentPlayerId,
+        categoryIndex: game ? game.currentCategory : null, // The host looks answers up in its own copy of the pack
+        currentCategory: category ? {
+            prompt: Rules.getCategoryPrompt(category),
+            question: category.question,
+            type: category.type,
+            translations: category.translations
         } : null,
-        answerBoardEntries: state.answerBoardEntries,
+        answerBoardEntries: game ? game.answerBoard : [],
         timerRemaining: state.timerRemaining,
-        jackpot: state.jackpot
+        jackpot: game ? game.jackpot : Rules.STARTING_JACKPOT,
+        stage: game ? game.stage : 'rounds',
+        headToHead: game?.headToHead ? {
+            playerIds: game.headToHead.playerIds,
+            wins: game.headToHead.wins,
+            question: game.headToHead.question
+        } : null,
+        final: game?.final ? {
+            playerId: game.final.playerId,
+            options: game.final.options.map(i => Rules.getCategoryPrompt(state.pack.categories[i])),
+            chosen: game.final.category !== null,
+            answers: game.final.answers,
+            wonJackpot: game.final.wonJackpot
+        } : null
     };
 }
 
 function getCurrentPlayerId(state) {
-    if (state.currentPlayerIndex >= state.playerOrder.length) {
-        return null;
-    }
-    return state.playerOrder[state.currentPlayerIndex];
+    return state.game ? Rules.getCurrentPlayerId(state.game) : null;
+}
+
+function getCurrentCategory(state) {
+    if (!state.game || state.game.currentCategory === null) return null;
+    return state.pack.categories[state.game.currentCategory];
 }
 
 // Send error to a single client
@@ -137,76 +145,187 @@ function broadcastState(room) {
     }
 }
 
-// Find answer in current category
-function findAnswer(state, normalizedInput) {
-    if (!state.currentCategory || !state.currentCategory.answers) return null;
+// Apply an action to the game rules, relay the resulting events and resync clients
+function dispatch(room, action) {
+    const state = room.state;
+    const result = Rules.reduce(state.game, action, { categories: state.pack.categories });
+    if (result.state === state.game) return false;
 
-    for (const answer of state.currentCategory.answers) {
-        const answerText = answer.text || answer.answer;
-        if (normalizeAnswer(answerText) === normalizedInput) {
-            return { text: answerText, points: answer.score || answer.points || 0 };
-        }
-        if (answer.aliases) {
-            for (const alias of answer.aliases) {
-                if (normalizeAnswer(alias) === normalizedInput) {
-                    return { text: answerText, points: answer.score || answer.points || 0 };
-                }
-            }
-        }
+    // Keep the game as it was before each answer so the host can undo it
+    if (action.type === 'SUBMIT_ANSWER') {
+        room.history.push(state.game);
     }
-    return null;
+
+    state.game = result.state;
+    for (const event of result.events) {
+        handleGameEvent(room, event);
+    }
+    broadcastState(room);
+    return true;
 }
 
-// Start the game
-function startGame(room) {
+// Roll back the last answer this question (scores, board, used answers, jackpot) and replay that turn
+function undoLastAnswer(room) {
     const state = room.state;
-    if (!state.pack || !state.pack.categories || state.pack.categories.length === 0) {
-        return;
-    }
+    if (!state.game || room.history.length === 0) return;
 
-    // Clamp totalRounds to available categories
-    const availableCategories = state.pack.categories.length;
-    if (state.settings.totalRounds > availableCategories) {
-        state.settings.totalRounds = availableCategories;
-        console.log(`Clamped rounds to ${availableCategories} (available categories)`);
-    }
+    clearTurnTimer(room);
+    state.game = room.history.pop();
+    const playerId = getCurrentPlayerId(state);
+
+    broadcast(room, { type: 'ANSWER_UNDONE', playerId });
+    startPlayerTurn(room, playerId);
+    broadcastState(room);
+}
+
+// Replace the last answer with the host's ruling on it: accept as a listed answer, reject, or custom points
+function overrideLastAnswer(room, ruling) {
+    const state = room.state;
+    const game = state.game;
+    if (!game || room.history.length === 0 || !ruling) return;
+
+    const entry = game.answerBoard[game.answerBoard.length - 1];
+    clearTurnTimer(room);
+    state.game = room.history.pop();
 
-    // Select random categories for rounds
-    const shuffled = [...state.pack.categories].sort(() => Math.random() - 0.5);
-    state.roundCategories = shuffled.slice(0, state.settings.totalRounds);
-
-    state.phase = 'playing';
-    state.currentRound = 1;
-    state.currentPlayerIndex = 0;
-    state.jackpot = 1000;
-
-    // Initialize player round scores
-    for (const player of state.players.values()) {
-        player.score = 0;
-        player.roundScores = [];
-        player.eliminated = false;
-        player.eliminatedRound = null;
+    const action = { type: 'SUBMIT_ANSWER', playerId: entry.playerId, answer: entry.answer, ruling };
+    if (!dispatch(room, action)) {
+        // Invalid ruling - put everything back
+        room.history.push(state.game);
+        state.game = game;
     }
+}
+
+// Show a player's latest answer this question again
+function revealAnswer(room, playerId) {
+    const game = room.state.game;
+    const entry = game && [...game.answerBoard].reverse().find(e => e.playerId === playerId);
+    if (!entry) return;
 
-    startRound(room);
+    broadcast(room, {
+        type: 'SCORE_REVEAL',
+        playerId,
+        playerName: entry.playerName,
+        answer: entry.answer,
+        score: entry.score,
+        isCorrect: entry.isCorrect,
+        isPointless: entry.isCorrect && entry.score === 0,
+        ruling: entry.ruling,
+        isReplay: true
+    });
 }
 
-// Start a round
-function startRound(room) {
+// Turn a rules event into server messages
+function handleGameEvent(room, event) {
     const state = room.state;
-    state.currentCategory = state.roundCategories[state.currentRound - 1];
-    state.usedAnswersThisRound = new Set();
-    state.answerBoardEntries = [];
-    state.currentPlayerIndex = 0;
 
-    // Reset player states for new round
-    for (const player of state.players.values()) {
-        player.typing = false;
-        player.submittedAnswer = null;
+    switch (event.type) {
+        case 'CATEGORY_START':
+            // Undo only reaches back within the current question
+            room.history = [];
+
+            // Reset player states for the new category
+            for (const player of state.players.values()) {
+                player.typing = false;
+                player.submittedAnswer = null;
+            }
+            break;
+
+        case 'TURN_START':
+            startPlayerTurn(room, event.playerId);
+            break;
+
+        case 'SCORE_REVEAL': {
+            clearTurnTimer(room);
+            const player = state.players.get(event.playerId);
+            if (player) {
+                player.submittedAnswer = event.answer;
+            }
+            broadcast(room, {
+                type: 'SCORE_REVEAL',
+                playerId: event.playerId,
+                playerName: event.playerName,
+                answer: event.answer,
+                score: event.score,
+                isCorrect: event.isCorrect,
+                isPointless: event.isPointless,
+                ruling: event.ruling
+            });
+            break;
+        }
+
+        case 'ROUND_END':
+            clearTurnTimer(room);
+            broadcast(room, {
+                type: 'ROUND_END',
+                standings: getStandings(state, event.results.map(r => r.playerId)),
+                eliminatedPlayerId: event.eliminatedPlayerId
+            });
+            break;
+
+        case 'HEAD_TO_HEAD_RESULT':
+            clearTurnTimer(room);
+            broadcast(room, {
+                type: 'HEAD_TO_HEAD_RESULT',
+                question: event.question,
+                results: event.results,
+                wins: event.wins,
+                questionWinnerId: event.questionWinnerId,
+                matchWinnerId: event.matchWinnerId,
+                eliminatedPlayerId: event.eliminatedPlayerId
+            });
+            break;
+
+        case 'FINAL_CHOICE':
+            // The final's categories haven't been played yet - nothing to undo
+            room.history = [];
+            broadcast(room, {
+                type: 'FINAL_CHOICE',
+                playerId: event.playerId,
+                playerName: event.playerName,
+                options: event.options.map(i => Rules.getCategoryPrompt(state.pack.categories[i])),
+                jackpot: event.jackpot
+            });
+            break;
+
+        case 'GAME_END': {
+            clearTurnTimer(room);
+            room.history = [];
+            const standings = getStandings(state, state.game.players.map(p => p.id));
+            broadcast(room, {
+                type: 'GAME_END',
+                winner: standings.find(p => p.id === event.winnerIds[0]) || standings[0],
+                standings,
+                final: event.final || undefined
+            });
+            break;
+        }
     }
+}
 
-    broadcastState(room);
-    startPlayerTurn(room);
+// Client players for the given ids, lowest score first
+function getStandings(state, playerIds) {
+    return playerIds
+        .map(id => state.players.get(id))
+        .filter(Boolean)
+        .map(p => toClientPlayer(state, p))
+        .sort((a, b) => a.score - b.score);
+}
+
+// Start the game
+function startGame(room) {
+    const state = room.state;
+    if (!state.pack || !state.pack.categories || state.pack.categories.length === 0) {
+        return;
+    }
+
+    const players = state.playerOrder
+        .map(id => state.players.get(id))
+        .filter(Boolean)
+        .map(p => ({ id: p.id, name: p.name }));
+
+    state.game = Rules.createGame(players, state.settings);
+    dispatch(room, { type: 'START_GAME' });
 }
 
 // Clear any existing turn timer
@@ -218,24 +337,14 @@ function clearTurnTimer(room) {
 }
 
 // Start a player's turn
-function startPlayerTurn(room) {
+function startPlayerTurn(room, playerId) {
     const state = room.state;
     clearTurnTimer(room);
 
-    const currentPlayerId = getCurrentPlayerId(state);
-    if (!currentPlayerId) return;
-
-    const player = state.players.get(currentPlayerId);
-    if (!player) return;
-
-    // Skip eliminated or disconnected players
-    if (player.eliminated || !player.connected) {
-        state.currentPlayerIndex++;
-        if (state.currentPlayerIndex < state.playerOrder.length) {
-            startPlayerTurn(room);
-        } else {
-            endRound(room);
-        }
+    // Skip players who have left or disconnected
+    const player = state.players.get(playerId);
+    if (!player || !player.connected) {
+        dispatch(room, { type: 'SKIP_TURN' });
         return;
     }
 
@@ -246,188 +355,34 @@ function startPlayerTurn(room) {
 
     broadcast(room, {
         type: 'TURN_START',
-        playerId: currentPlayerId,
+        playerId,
         playerName: player.name,
         timerDuration
     });
 
-    broadcastState(room);
-
     // Server-side timer: auto-pass if timer expires
     if (timerDuration) {
         room.turnTimer = setTimeout(() => {
             // Double-check player is still current and hasn't submitted
-            if (getCurrentPlayerId(state) === currentPlayerId && !player.submittedAnswer) {
+            if (getCurrentPlayerId(state) === playerId && !player.submittedAnswer) {
                 console.log(`Timer expired for ${player.name}, auto-passing`);
-                handleAnswerSubmission(room, currentPlayerId, null);
+                handleAnswerSubmission(room, playerId, null);
             }
         }, (timerDuration + 2) * 1000); // +2 seconds grace period
     }
 }
 
-// Handle answer submission
+// Handle answer submission (null answer is a pass)
 function handleAnswerSubmission(room, playerId, answer) {
     const state = room.state;
-    clearTurnTimer(room);
-
-    const currentPlayerId = getCurrentPlayerId(state);
-    if (playerId !== currentPlayerId) {
-        return;
-    }
+    if (!state.game) return;
 
     const player = state.players.get(playerId);
-    if (!player) return;
-
-    player.typing = false;
-
-    let score = 100;
-    let isCorrect = false;
-    let displayAnswer = answer || 'PASS';
-    let isPointless = false;
-
-    if (answer) {
-        const normalizedInput = normalizeAnswer(answer);
-
-        // Check if already used this round
-        if (state.usedAnswersThisRound.has(normalizedInput)) {
-            score = 100;
-            isCorrect = false;
-        } else {
-            // Find matching answer
-            const matchedAnswer = findAnswer(state, normalizedInput);
-            if (matchedAnswer) {
-                score = matchedAnswer.points;
-                isCorrect = true;
-                displayAnswer = matchedAnswer.text;
-                isPointless = score === 0;
-                state.usedAnswersThisRound.add(normalizedInput);
-
-                if (isPointless) {
-                    state.jackpot += 250;
-                }
-            }
-        }
-    }
-
-    // Update player score
-    player.score += score;
-    if (!player.roundScores[state.currentRound - 1]) {
-        player.roundScores[state.currentRound - 1] = 0;
-    }
-    player.roundScores[state.currentRound - 1] += score;
-    player.submittedAnswer = displayAnswer;
-
-    // Add to answer board
-    state.answerBoardEntries.push({
-        playerId,
-        playerName: player.name,
-        answer: displayAnswer,
-        score,
-        isCorrect
-    });
-
-    // Broadcast score reveal
-    broadcast(room, {
-        type: 'SCORE_REVEAL',
-        playerId,
-        playerName: player.name,
-        answer: displayAnswer,
-        score,
-        isCorrect,
-        isPointless
-    });
-
-    state.phase = 'revealing';
-    broadcastState(room);
-}
-
-// Move to next player
-function nextPlayer(room) {
-    const state = room.state;
-    state.phase = 'playing';
-    state.currentPlayerIndex++;
-
-    // Find next non-eliminated player
-    while (
-        state.currentPlayerIndex < state.playerOrder.length &&
-        state.players.get(state.playerOrder[state.currentPlayerIndex])?.eliminated
-    ) {
-        state.currentPlayerIndex++;
-    }
-
-    if (state.currentPlayerIndex >= state.playerOrder.length) {
-        endRound(room);
-    } else {
-        startPlayerTurn(room);
-    }
-}
-
-// End the round
-function endRound(room) {
-    const state = room.state;
-    state.phase = 'roundEnd';
-
-    const activePlayers = Array.from(state.players.values()).filter(p => !p.eliminated);
-    const standings = activePlayers
-        .map(p => toClientPlayer(p))
-        .sort((a, b) => a.score - b.score);
-
-    let eliminatedPlayerId;
-
-    // TV show mode: eliminate highest scorer this round
-    if (state.settings.gameMode === 'tv-show' && activePlayers.length > 1) {
-        const roundScores = activePlayers.map(p => ({
-            player: p,
-            roundScore: p.roundScores[state.currentRound - 1] || 0
-        }));
-        roundScores.sort((a, b) => b.roundScore - a.roundScore);
-
-        const eliminated = roundScores[0].player;
-        eliminated.eliminated = true;
-        eliminated.eliminatedRound = state.currentRound;
-        eliminatedPlayerId = eliminated.id;
-    }
-
-    broadcast(room, {
-        type: 'ROUND_END',
-        standings,
-        eliminatedPlayerId
-    });
-
-    broadcastState(room);
-}
-
-// Move to next round
-function nextRound(room) {
-    const state = room.state;
-    const activePlayers = Array.from(state.players.values()).filter(p => !p.eliminated);
-
-    if (state.currentRound >= state.settings.totalRounds || activePlayers.length <= 1) {
-        endGame(room);
-    } else {
-        state.currentRound++;
-        startRound(room);
+    if (player) {
+        player.typing = false;
     }
-}
-
-// End the game
-function endGame(room) {
-    const state = room.state;
-    state.phase = 'gameOver';
-
-    const allPlayers = Array.from(state.players.values())
-        .map(p => toClientPlayer(p))
-        .sort((a, b) => a.score - b.score);
-
-    const winner = allPlayers[0];
-
-    broadcast(room, {
-        type: 'GAME_END',
-        winner,
-        standings: allPlayers
-    });
 
-    broadcastState(room);
+    dispatch(room, { type: 'SUBMIT_ANSWER', playerId, answer });
 }
 
 // Create WebSocket server - listen on all interfaces so phones can connect
@@ -469,7 +424,8 @@ wss.on('connection', (ws, req) => {
             room = {
                 state: createInitialState(roomCode),
                 clients: new Set(),
-                turnTimer: null
+                turnTimer: null,
+                history: [] // Game states from before each answer this question, for UNDO
             };
             rooms.set(roomCode, room);
             console.log(`Created new room: ${roomCode}`);
@@ -525,10 +481,6 @@ wss.on('connection', (ws, req) => {
             const player = {
                 id: playerId,
                 name: name,
-                score: 0,
-                roundScores: [],
-                eliminated: false,
-                eliminatedRound: null,
                 connected: true,
                 language: language,
                 typing: false,
@@ -544,7 +496,7 @@ wss.on('connection', (ws, req) => {
         const player = room.state.players.get(playerId);
         broadcast(room, {
             type: 'PLAYER_JOINED',
-            player: toClientPlayer(player),
+            player: toClientPlayer(room.state, player),
             isReconnect
         });
     }
@@ -572,7 +524,7 @@ wss.on('connection', (ws, req) => {
                     break;
 
                 case 'START_GAME':
-                    if (isHost && room.state.phase === 'lobby' && room.state.players.size >= 1) {
+                    if (isHost && !room.state.game && room.state.players.size >= 1) {
                         startGame(room);
                     }
                     break;
@@ -607,14 +559,38 @@ wss.on('connection', (ws, req) => {
                     break;
 
                 case 'NEXT_PLAYER':
-                    if (isHost) {
-                        nextPlayer(room);
+                    if (isHost && room.state.game) {
+                        dispatch(room, { type: 'NEXT_PLAYER' });
                     }
                     break;
 
                 case 'NEXT_ROUND':
+                    if (isHost && room.state.game) {
+                        dispatch(room, { type: 'NEXT_ROUND' });
+                    }
+                    break;
+
+                case 'UNDO':
+                    if (isHost) {
+                        undoLastAnswer(room);
+                    }
+                    break;
+
+                case 'OVERRIDE_ANSWER':
                     if (isHost) {
-                        nextRound(room);
+                        overrideLastAnswer(room, msg.ruling);
+                    }
+                    break;
+
+                case 'REVEAL_ANSWER':
+                    if (isHost) {
+                        revealAnswer(room, msg.playerId);
+                    }
+                    break;
+
+                case 'CHOOSE_FINAL_CATEGORY':
+                    if (room.state.game && (isHost || ws.playerId === room.state.game.final?.playerId)) {
+                        dispatch(room, { type: 'CHOOSE_FINAL_CATEGORY', optionIndex: msg.optionIndex });
                     }
                     break;
 
@@ -664,7 +640,7 @@ wss.on('connection', (ws, req) => {
 
                 // If this player was the current player and game is in progress, auto-pass
                 const state = room.state;
-                if (state.phase === 'playing' && getCurrentPlayerId(state) === ws.playerId) {
+                if (state.game?.phase === 'playing' && getCurrentPlayerId(state) === ws.playerId) {
                     console.log(`Current player ${player.name} disconnected, auto-passing`);
                     handleAnswerSubmission(room, ws.playerId, null);
                 }